@@ -0,0 +1,47 @@
+// Starting category tree, loaded when the categories collection is empty.
+// The first three are the original item types. Admins maintain the tree
+// afterwards through /api/admin/categories. Shelf lives are inherited by
+// subcategories: fresh catch comes down, dried goods are only flagged.
+
+const DEFAULT_CATEGORIES = [
+  {
+    slug: "fish",
+    name: "Fish",
+    shelfLifeHours: 72,
+    expiryAction: "deactivate",
+  },
+  { slug: "souvenirs", name: "Souvenirs" },
+  { slug: "food", name: "Food" },
+  {
+    slug: "shellfish",
+    name: "Shellfish",
+    shelfLifeHours: 48,
+    expiryAction: "deactivate",
+    children: [
+      { slug: "shrimp", name: "Shrimp and prawns" },
+      { slug: "crabs", name: "Crabs" },
+      { slug: "mussels-and-clams", name: "Mussels and clams" },
+      { slug: "squid", name: "Squid and octopus" },
+    ],
+  },
+  {
+    slug: "dried-fish",
+    name: "Dried fish",
+    shelfLifeHours: 30 * 24,
+    expiryAction: "flag",
+    children: [
+      { slug: "danggit", name: "Danggit" },
+      { slug: "tuyo", name: "Tuyo" },
+      { slug: "daing", name: "Daing" },
+      { slug: "dried-squid", name: "Dried squid" },
+    ],
+  },
+  {
+    slug: "seaweed",
+    name: "Seaweed",
+    shelfLifeHours: 48,
+    expiryAction: "deactivate",
+  },
+];
+
+module.exports = { DEFAULT_CATEGORIES };
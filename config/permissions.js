@@ -0,0 +1,66 @@
+// Central permission policy. Permissions are "resource:action:scope":
+// "own" allows the action on resources the user owns, "any" on all of them.
+
+const BUYER_PERMISSIONS = ["cart:manage:own", "order:view:own"];
+
+const SELLER_PERMISSIONS = [
+  ...BUYER_PERMISSIONS,
+  "item:create:own",
+  "item:update:own",
+  "item:delete:own",
+  "item:sell:own",
+  "store:manage:own",
+  "two-factor:manage:own",
+];
+
+const MODERATOR_PERMISSIONS = [
+  ...BUYER_PERMISSIONS,
+  "item:update:any",
+  "item:delete:any",
+  "order:view:any",
+  "two-factor:manage:own",
+];
+
+const ADMIN_PERMISSIONS = [
+  ...MODERATOR_PERMISSIONS,
+  "item:sell:any",
+  "account:manage:any",
+  "seller-application:review:any",
+  "security:manage:any",
+  "species:manage:any",
+  "category:manage:any",
+  "maintenance:run:any",
+];
+
+const ROLE_PERMISSIONS = {
+  buyer: BUYER_PERMISSIONS,
+  seller: SELLER_PERMISSIONS,
+  moderator: MODERATOR_PERMISSIONS,
+  admin: ADMIN_PERMISSIONS,
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Permissions granted to a role
+ */
+const permissionsFor = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Scope a role has for a permission such as "item:update"
+ * @returns {string|null} - "any", "own" or null when not granted
+ */
+const scopeFor = (role, permission) => {
+  const granted = permissionsFor(role);
+
+  if (granted.includes(`${permission}:any`)) return "any";
+  if (granted.includes(`${permission}:own`)) return "own";
+  return null;
+};
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  permissionsFor,
+  scopeFor,
+};
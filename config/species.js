@@ -0,0 +1,77 @@
+// Curated starting dictionary, loaded when the species collection is empty.
+// Admins maintain it afterwards through /api/admin/species.
+
+const DEFAULT_SPECIES = [
+  {
+    key: "galunggong",
+    name: "Round scad",
+    synonyms: ["galunggong", "round scad", "gg", "burot"],
+  },
+  {
+    key: "bangus",
+    name: "Milkfish",
+    synonyms: ["bangus", "bangos", "milkfish"],
+  },
+  {
+    key: "tilapia",
+    name: "Tilapia",
+    synonyms: ["tilapia", "pla-pla", "plapla"],
+  },
+  {
+    key: "tamban",
+    name: "Sardine",
+    synonyms: ["tamban", "sardinas", "sardine", "sardines"],
+  },
+  {
+    key: "tulingan",
+    name: "Frigate tuna",
+    synonyms: ["tulingan", "frigate tuna", "bullet tuna"],
+  },
+  {
+    key: "lapu-lapu",
+    name: "Grouper",
+    synonyms: ["lapu-lapu", "grouper"],
+  },
+  {
+    key: "maya-maya",
+    name: "Red snapper",
+    synonyms: ["maya-maya", "red snapper", "snapper"],
+  },
+  {
+    key: "dilis",
+    name: "Anchovy",
+    synonyms: ["dilis", "anchovy", "anchovies", "bolinao"],
+  },
+  {
+    key: "hasa-hasa",
+    name: "Short mackerel",
+    synonyms: ["hasa-hasa", "short mackerel"],
+  },
+  {
+    key: "alumahan",
+    name: "Indian mackerel",
+    synonyms: ["alumahan", "indian mackerel"],
+  },
+  {
+    key: "tanigue",
+    name: "Spanish mackerel",
+    synonyms: ["tanigue", "tangigue", "spanish mackerel"],
+  },
+  {
+    key: "pusit",
+    name: "Squid",
+    synonyms: ["pusit", "squid", "calamari"],
+  },
+  {
+    key: "hipon",
+    name: "Shrimp",
+    synonyms: ["hipon", "shrimp", "prawn", "prawns"],
+  },
+  {
+    key: "tahong",
+    name: "Green mussel",
+    synonyms: ["tahong", "green mussel", "mussel", "mussels"],
+  },
+];
+
+module.exports = { DEFAULT_SPECIES };
@@ -0,0 +1,13 @@
+// Units a listing can be sold in. Weights convert through `kg`, the unit
+// per-kg prices are quoted in; counted units only convert to themselves.
+
+const UNITS = {
+  kg: { dimension: "weight", kg: 1 },
+  grams: { dimension: "weight", kg: 0.001 },
+  lbs: { dimension: "weight", kg: 0.45359237 },
+  pieces: { dimension: "count" },
+};
+
+const UNIT_NAMES = Object.keys(UNITS);
+
+module.exports = { UNITS, UNIT_NAMES };
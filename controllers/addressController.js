@@ -0,0 +1,166 @@
+const Account = require("../models/Accounts");
+const { BadRequestError, NotFoundError } = require("../errors");
+const asyncErrorHandler = require("../middleware/asyncErrorHandler");
+
+const ADDRESS_FIELDS = [
+  "label",
+  "street",
+  "barangay",
+  "municipality",
+  "province",
+  "landmark",
+];
+
+/**
+ * Copy address fields from the request body, including optional coordinates
+ */
+const pickAddressFields = (body) => {
+  const data = {};
+
+  ADDRESS_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  });
+
+  if (body.latitude !== undefined && body.longitude !== undefined) {
+    data.coordinates = {
+      lat: parseFloat(body.latitude),
+      lng: parseFloat(body.longitude),
+    };
+  }
+
+  return data;
+};
+
+/**
+ * Load the caller's account document
+ */
+const findAccount = async (req) => {
+  const account = await Account.findById(req.user._id);
+
+  if (!account) {
+    throw new NotFoundError("Account not found");
+  }
+
+  return account;
+};
+
+/**
+ * Get saved addresses
+ */
+const getAddresses = asyncErrorHandler(async (req, res) => {
+  const account = await findAccount(req);
+
+  res.status(200).json({
+    success: true,
+    data: account.addresses,
+  });
+});
+
+/**
+ * Add an address; the first saved address becomes the default
+ */
+const addAddress = asyncErrorHandler(async (req, res) => {
+  const account = await findAccount(req);
+
+  if (account.addresses.length >= 10) {
+    throw new BadRequestError("You can save at most 10 addresses");
+  }
+
+  account.addresses.push(pickAddressFields(req.body));
+  const address = account.addresses[account.addresses.length - 1];
+
+  if (account.addresses.length === 1 || req.body.isDefault === true) {
+    account.setDefaultAddress(address._id);
+  }
+
+  await account.save();
+
+  res.status(201).json({
+    success: true,
+    message: "Address added successfully",
+    data: address,
+  });
+});
+
+/**
+ * Update an address
+ */
+const updateAddress = asyncErrorHandler(async (req, res) => {
+  const account = await findAccount(req);
+  const address = account.addresses.id(req.params.addressId);
+
+  if (!address) {
+    throw new NotFoundError("Address not found");
+  }
+
+  address.set(pickAddressFields(req.body));
+
+  if (req.body.isDefault === true || address.isDefault) {
+    // Also refreshes the legacy address string when the default changed
+    account.setDefaultAddress(address._id);
+  }
+
+  await account.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Address updated successfully",
+    data: address,
+  });
+});
+
+/**
+ * Make an address the default
+ */
+const setDefaultAddress = asyncErrorHandler(async (req, res) => {
+  const account = await findAccount(req);
+  const address = account.setDefaultAddress(req.params.addressId);
+
+  if (!address) {
+    throw new NotFoundError("Address not found");
+  }
+
+  await account.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Default address updated successfully",
+    data: address,
+  });
+});
+
+/**
+ * Delete an address; if it was the default, the oldest remaining one takes over
+ */
+const deleteAddress = asyncErrorHandler(async (req, res) => {
+  const account = await findAccount(req);
+  const address = account.addresses.id(req.params.addressId);
+
+  if (!address) {
+    throw new NotFoundError("Address not found");
+  }
+
+  const wasDefault = address.isDefault;
+  address.deleteOne();
+
+  if (wasDefault && account.addresses.length > 0) {
+    account.setDefaultAddress(account.addresses[0]._id);
+  }
+
+  await account.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Address deleted successfully",
+  });
+});
+
+module.exports = {
+  getAddresses,
+  addAddress,
+  updateAddress,
+  setDefaultAddress,
+  deleteAddress,
+};
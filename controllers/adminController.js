@@ -0,0 +1,794 @@
+const mongoose = require("mongoose");
+const Account = require("../models/Accounts");
+const LoginAttempt = require("../models/LoginAttempt");
+const AuditEvent = require("../models/AuditEvent");
+const { BadRequestError, NotFoundError } = require("../errors");
+const asyncErrorHandler = require("../middleware/asyncErrorHandler");
+const tokenService = require("../services/tokenService");
+const securityPolicyService = require("../services/securityPolicyService");
+const auditService = require("../services/auditService");
+const retentionService = require("../services/retentionService");
+const expiryService = require("../services/expiryService");
+const speciesService = require("../services/speciesService");
+const categoryService = require("../services/categoryService");
+
+// Credentials and second-factor secrets never leave the server
+const HIDDEN_ACCOUNT_FIELDS =
+  "-password -otp -twoFactor.totpSecret -twoFactor.pendingSecret -twoFactor.recoveryCodes";
+
+const APPLICANT_FIELDS =
+  "firstName lastName username email contactNo address store sellerApplication createdAt";
+
+// Fields the account list can be sorted by
+const ACCOUNT_SORT_FIELDS = [
+  "createdAt",
+  "updatedAt",
+  "username",
+  "email",
+  "firstName",
+  "lastName",
+  "role",
+];
+
+/**
+ * Get seller applications (defaults to the pending queue)
+ */
+const getSellerApplications = asyncErrorHandler(async (req, res) => {
+  const { status = "pending", page = 1, limit = 20 } = req.query;
+
+  if (!["pending", "approved", "rejected"].includes(status)) {
+    throw new BadRequestError(
+      "Status must be 'pending', 'approved', or 'rejected'"
+    );
+  }
+
+  const filter = { "sellerApplication.status": status };
+
+  // Calculate pagination
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const applications = await Account.find(filter)
+    .select(APPLICANT_FIELDS)
+    .sort({ "sellerApplication.submittedAt": 1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const totalItems = await Account.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    data: applications,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(totalItems / parseInt(limit)),
+      totalItems,
+      itemsPerPage: parseInt(limit),
+    },
+  });
+});
+
+/**
+ * Load an account whose seller application is still pending
+ */
+const findPendingApplicant = async (accountId) => {
+  const account = await Account.findById(accountId);
+
+  if (!account) {
+    throw new NotFoundError("Account not found");
+  }
+
+  if (
+    !account.sellerApplication ||
+    account.sellerApplication.status !== "pending"
+  ) {
+    throw new BadRequestError("Account has no pending seller application");
+  }
+
+  return account;
+};
+
+/**
+ * Approve a seller application and promote the account to seller
+ */
+const approveSellerApplication = asyncErrorHandler(async (req, res) => {
+  const account = await findPendingApplicant(req.params.accountId);
+
+  account.role = "seller";
+  account.sellerApplication.status = "approved";
+  account.sellerApplication.reviewedAt = new Date();
+  account.sellerApplication.reviewedBy = req.user._id;
+  account.sellerApplication.rejectionReason = undefined;
+  await account.save();
+  await auditService.record(req, { action: "seller.approve", target: account });
+
+  res.status(200).json({
+    success: true,
+    message: "Seller application approved",
+    data: {
+      userId: account._id,
+      role: account.role,
+      store: account.store,
+      sellerApplication: account.sellerApplication,
+    },
+  });
+});
+
+/**
+ * Reject a seller application
+ */
+const rejectSellerApplication = asyncErrorHandler(async (req, res) => {
+  const account = await findPendingApplicant(req.params.accountId);
+
+  account.sellerApplication.status = "rejected";
+  account.sellerApplication.reviewedAt = new Date();
+  account.sellerApplication.reviewedBy = req.user._id;
+  account.sellerApplication.rejectionReason = req.body.reason;
+  await account.save();
+  await auditService.record(req, {
+    action: "seller.reject",
+    target: account,
+    reason: req.body.reason,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Seller application rejected",
+    data: {
+      userId: account._id,
+      role: account.role,
+      sellerApplication: account.sellerApplication,
+    },
+  });
+});
+
+/**
+ * Escape user input for use inside a RegExp
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * List accounts with search and filters
+ */
+const getAccounts = asyncErrorHandler(async (req, res) => {
+  const {
+    role,
+    isVerified,
+    isSuspended,
+    search,
+    sortBy = "createdAt",
+    sortOrder = "desc",
+    page = 1,
+    limit = 20,
+  } = req.query;
+
+  // Build filter object
+  const filter = {};
+
+  if (role) {
+    filter.role = role;
+  }
+
+  if (isVerified !== undefined) {
+    filter.isVerified = isVerified === "true";
+  }
+
+  if (isSuspended !== undefined) {
+    filter.isSuspended = isSuspended === "true";
+  }
+
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), "i");
+    filter.$or = [
+      { username: pattern },
+      { email: pattern },
+      { firstName: pattern },
+      { lastName: pattern },
+      { contactNo: pattern },
+    ];
+  }
+
+  // Build sort object
+  if (!ACCOUNT_SORT_FIELDS.includes(sortBy)) {
+    throw new BadRequestError(
+      `sortBy must be one of: ${ACCOUNT_SORT_FIELDS.join(", ")}`
+    );
+  }
+  const sort = {};
+  sort[sortBy] = sortOrder === "desc" ? -1 : 1;
+
+  // Calculate pagination
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const accounts = await Account.find(filter)
+    .select(HIDDEN_ACCOUNT_FIELDS)
+    .sort(sort)
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const totalItems = await Account.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    data: accounts,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(totalItems / parseInt(limit)),
+      totalItems,
+      itemsPerPage: parseInt(limit),
+    },
+  });
+});
+
+/**
+ * Get one account's details
+ */
+const getAccountById = asyncErrorHandler(async (req, res) => {
+  const account = await Account.findById(req.params.accountId).select(
+    HIDDEN_ACCOUNT_FIELDS
+  );
+
+  if (!account) {
+    throw new NotFoundError("Account not found");
+  }
+
+  res.status(200).json({
+    success: true,
+    data: account,
+  });
+});
+
+/**
+ * Load the target account of an admin action; admins cannot act on themselves
+ */
+const findManagedAccount = async (req) => {
+  const account = await Account.findById(req.params.accountId);
+
+  if (!account) {
+    throw new NotFoundError("Account not found");
+  }
+
+  if (account._id.equals(req.user._id)) {
+    throw new BadRequestError(
+      "You cannot perform this action on your own account"
+    );
+  }
+
+  return account;
+};
+
+/**
+ * Suspend an account and end all of its sessions
+ */
+const suspendAccount = asyncErrorHandler(async (req, res) => {
+  const account = await findManagedAccount(req);
+
+  if (account.isSuspended) {
+    throw new BadRequestError("Account is already suspended");
+  }
+
+  account.isSuspended = true;
+  account.suspendedAt = new Date();
+  account.suspensionReason = req.body.reason;
+  await account.save();
+
+  await tokenService.revokeAllSessions(account);
+  await auditService.record(req, {
+    action: "account.suspend",
+    target: account,
+    reason: req.body.reason,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Account suspended",
+    data: {
+      userId: account._id,
+      isSuspended: account.isSuspended,
+      suspendedAt: account.suspendedAt,
+      suspensionReason: account.suspensionReason,
+    },
+  });
+});
+
+/**
+ * Reactivate a suspended account
+ */
+const reactivateAccount = asyncErrorHandler(async (req, res) => {
+  const account = await findManagedAccount(req);
+
+  if (!account.isSuspended) {
+    throw new BadRequestError("Account is not suspended");
+  }
+
+  account.isSuspended = false;
+  account.suspendedAt = undefined;
+  account.suspensionReason = undefined;
+  await account.save();
+  await auditService.record(req, {
+    action: "account.reactivate",
+    target: account,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Account reactivated",
+    data: {
+      userId: account._id,
+      isSuspended: account.isSuspended,
+    },
+  });
+});
+
+/**
+ * Change an account's role
+ */
+const changeAccountRole = asyncErrorHandler(async (req, res) => {
+  const account = await findManagedAccount(req);
+  const { role } = req.body;
+
+  if (account.role === role) {
+    throw new BadRequestError(`Account is already a ${role}`);
+  }
+
+  const previousRole = account.role;
+  account.role = role;
+  await account.save();
+  await auditService.record(req, {
+    action: "account.role-change",
+    target: account,
+    metadata: { from: previousRole, to: role },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Account role updated",
+    data: {
+      userId: account._id,
+      role: account.role,
+    },
+  });
+});
+
+/**
+ * Mark an account as verified without an OTP
+ */
+const forceVerifyAccount = asyncErrorHandler(async (req, res) => {
+  const account = await findManagedAccount(req);
+
+  if (account.isVerified) {
+    throw new BadRequestError("Account is already verified");
+  }
+
+  account.isVerified = true;
+  account.otp = undefined;
+  await account.save();
+  await auditService.record(req, { action: "account.verify", target: account });
+
+  res.status(200).json({
+    success: true,
+    message: "Account verified",
+    data: {
+      userId: account._id,
+      isVerified: account.isVerified,
+    },
+  });
+});
+
+/**
+ * List login attempts with filters
+ */
+const getLoginAttempts = asyncErrorHandler(async (req, res) => {
+  const { account, identifier, ip, success, page = 1, limit = 50 } = req.query;
+
+  // Build filter object
+  const filter = {};
+
+  if (account) {
+    if (!mongoose.isValidObjectId(account)) {
+      throw new BadRequestError("Invalid account ID");
+    }
+    filter.account = account;
+  }
+
+  if (identifier) {
+    filter.identifier = identifier.toLowerCase();
+  }
+
+  if (ip) {
+    filter.ip = ip;
+  }
+
+  if (success !== undefined) {
+    filter.success = success === "true";
+  }
+
+  // Calculate pagination
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const attempts = await LoginAttempt.find(filter)
+    .populate("account", "username email contactNo role")
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const totalItems = await LoginAttempt.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    data: attempts,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(totalItems / parseInt(limit)),
+      totalItems,
+      itemsPerPage: parseInt(limit),
+    },
+  });
+});
+
+/**
+ * Search the audit log
+ * (?actor=&target=&account=&action=&outcome=&ip=&from=&to=)
+ * `account` matches events where the account is the actor or the target
+ */
+const getAuditEvents = asyncErrorHandler(async (req, res) => {
+  const {
+    actor,
+    target,
+    account,
+    action,
+    outcome,
+    ip,
+    from,
+    to,
+    page = 1,
+    limit = 50,
+  } = req.query;
+
+  // Build filter object
+  const filter = {};
+
+  for (const [field, value] of Object.entries({ actor, target, account })) {
+    if (value && !mongoose.isValidObjectId(value)) {
+      throw new BadRequestError(`Invalid ${field} ID`);
+    }
+  }
+
+  if (actor) {
+    filter.actor = actor;
+  }
+
+  if (target) {
+    filter.target = target;
+  }
+
+  if (account) {
+    filter.$or = [{ actor: account }, { target: account }];
+  }
+
+  if (action) {
+    filter.action = action;
+  }
+
+  if (outcome) {
+    filter.outcome = outcome;
+  }
+
+  if (ip) {
+    filter.ip = ip;
+  }
+
+  for (const [field, value] of Object.entries({ from, to })) {
+    if (value && Number.isNaN(new Date(value).getTime())) {
+      throw new BadRequestError(`Invalid ${field} date`);
+    }
+  }
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  // Calculate pagination
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const events = await AuditEvent.find(filter)
+    .populate("actor", "username email role")
+    .populate("target", "username email role")
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const totalItems = await AuditEvent.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    data: events,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(totalItems / parseInt(limit)),
+      totalItems,
+      itemsPerPage: parseInt(limit),
+    },
+  });
+});
+
+/**
+ * Accounts with the most failed logins in the last `hours` (default 24)
+ */
+const getTargetedAccounts = asyncErrorHandler(async (req, res) => {
+  const hours = parseInt(req.query.hours) || 24;
+  const limit = parseInt(req.query.limit) || 20;
+  const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+  const targets = await LoginAttempt.aggregate([
+    {
+      $match: {
+        success: false,
+        account: { $ne: null },
+        createdAt: { $gte: since },
+      },
+    },
+    {
+      $group: {
+        _id: "$account",
+        failedAttempts: { $sum: 1 },
+        distinctIps: { $addToSet: "$ip" },
+        lastAttemptAt: { $max: "$createdAt" },
+      },
+    },
+    { $sort: { failedAttempts: -1, lastAttemptAt: -1 } },
+    { $limit: limit },
+    {
+      $lookup: {
+        from: Account.collection.name,
+        localField: "_id",
+        foreignField: "_id",
+        as: "account",
+        pipeline: [
+          { $project: { username: 1, email: 1, contactNo: 1, role: 1 } },
+        ],
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        account: { $first: "$account" },
+        failedAttempts: 1,
+        distinctIpCount: { $size: "$distinctIps" },
+        lastAttemptAt: 1,
+      },
+    },
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: targets,
+    window: { hours, since },
+  });
+});
+
+/**
+ * Get the two-factor policy
+ */
+const getTwoFactorPolicy = asyncErrorHandler(async (req, res) => {
+  const policy = await securityPolicyService.getPolicy();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      requiredRoles: policy.twoFactorRequiredRoles,
+      updatedAt: policy.updatedAt,
+      updatedBy: policy.updatedBy,
+    },
+  });
+});
+
+/**
+ * Set which roles must use two-factor authentication. Affected accounts
+ * without 2FA can only reach the 2FA setup routes until they enable it.
+ */
+const updateTwoFactorPolicy = asyncErrorHandler(async (req, res) => {
+  const requiredRoles = [...new Set(req.body.requiredRoles)];
+
+  const policy = await securityPolicyService.setTwoFactorRequiredRoles(
+    requiredRoles,
+    req.user._id
+  );
+  await auditService.record(req, {
+    action: "security.policy-change",
+    metadata: { twoFactorRequiredRoles: requiredRoles },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Two-factor policy updated successfully",
+    data: {
+      requiredRoles: policy.twoFactorRequiredRoles,
+      updatedAt: policy.updatedAt,
+      updatedBy: policy.updatedBy,
+    },
+  });
+});
+
+/**
+ * Run the retention sweep now (stale unverified accounts, expired OTPs).
+ * For deployments without a long-running process, e.g. a cron job.
+ */
+const runRetentionSweep = asyncErrorHandler(async (req, res) => {
+  const result = await retentionService.sweep();
+
+  res.status(200).json({
+    success: true,
+    message: "Retention sweep completed",
+    data: result,
+  });
+});
+
+/**
+ * Run the shelf-life sweep now: expire listings past their category's
+ * shelf life and warn sellers about those close to it
+ */
+const runExpirySweep = asyncErrorHandler(async (req, res) => {
+  const result = await expiryService.sweep();
+
+  res.status(200).json({
+    success: true,
+    message: "Expiry sweep completed",
+    data: result,
+  });
+});
+
+/**
+ * Get the species synonym dictionary
+ */
+const getSpecies = asyncErrorHandler(async (req, res) => {
+  const species = await speciesService.getDictionary();
+
+  res.status(200).json({
+    success: true,
+    data: species,
+  });
+});
+
+/**
+ * Add a species; listings using one of its names are tagged with its key
+ */
+const createSpecies = asyncErrorHandler(async (req, res) => {
+  const species = await speciesService.createSpecies(req.body, req.user._id);
+  const listingsRetagged = await speciesService.retagItems();
+
+  res.status(201).json({
+    success: true,
+    message: "Species added successfully",
+    data: { species, listingsRetagged },
+  });
+});
+
+/**
+ * Update a species' key, name or synonyms and retag affected listings
+ */
+const updateSpecies = asyncErrorHandler(async (req, res) => {
+  const species = await speciesService.updateSpecies(
+    req.params.speciesId,
+    req.body,
+    req.user._id
+  );
+  const listingsRetagged = await speciesService.retagItems();
+
+  res.status(200).json({
+    success: true,
+    message: "Species updated successfully",
+    data: { species, listingsRetagged },
+  });
+});
+
+/**
+ * Remove a species; its listings lose their species key
+ */
+const deleteSpecies = asyncErrorHandler(async (req, res) => {
+  await speciesService.deleteSpecies(req.params.speciesId);
+  const listingsRetagged = await speciesService.retagItems();
+
+  res.status(200).json({
+    success: true,
+    message: "Species removed successfully",
+    data: { listingsRetagged },
+  });
+});
+
+/**
+ * Get every category (flat; each has its parent and ancestors)
+ */
+const getCategories = asyncErrorHandler(async (req, res) => {
+  const categories = await categoryService.getCategories();
+
+  res.status(200).json({
+    success: true,
+    data: categories,
+  });
+});
+
+/**
+ * Add a category at the root or under a parent slug
+ */
+const createCategory = asyncErrorHandler(async (req, res) => {
+  const category = await categoryService.createCategory(req.body, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    message: "Category added successfully",
+    data: category,
+  });
+});
+
+/**
+ * Rename or move a category; listings below it follow
+ */
+const updateCategory = asyncErrorHandler(async (req, res) => {
+  const { category, listingsUpdated } = await categoryService.updateCategory(
+    req.params.categoryId,
+    req.body,
+    req.user._id
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Category updated successfully",
+    data: { category, listingsUpdated },
+  });
+});
+
+/**
+ * Delete an empty category
+ */
+const deleteCategory = asyncErrorHandler(async (req, res) => {
+  await categoryService.deleteCategory(req.params.categoryId);
+
+  res.status(200).json({
+    success: true,
+    message: "Category deleted successfully",
+  });
+});
+
+/**
+ * Assign categories to listings and sales that only have a legacy
+ * itemType. Also runs on server start.
+ */
+const runCategoryMigration = asyncErrorHandler(async (req, res) => {
+  const result = await categoryService.migrateItemTypes();
+
+  res.status(200).json({
+    success: true,
+    message: "Category migration completed",
+    data: result,
+  });
+});
+
+module.exports = {
+  getAccounts,
+  getAccountById,
+  suspendAccount,
+  reactivateAccount,
+  changeAccountRole,
+  forceVerifyAccount,
+  getSellerApplications,
+  approveSellerApplication,
+  rejectSellerApplication,
+  getLoginAttempts,
+  getTargetedAccounts,
+  getAuditEvents,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  runRetentionSweep,
+  runExpirySweep,
+  getSpecies,
+  createSpecies,
+  updateSpecies,
+  deleteSpecies,
+  getCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  runCategoryMigration,
+};
@@ -1,4 +1,7 @@
 const Account = require("../models/Accounts");
+const AuditEvent = require("../models/AuditEvent");
+const Item = require("../models/Item");
+const { toGeoPoint } = require("../models/GeoPoint");
 const {
   BadRequestError,
   UnauthenticatedError,
@@ -6,8 +9,84 @@ const {
   NotFoundError,
 } = require("../errors");
 const asyncErrorHandler = require("../middleware/asyncErrorHandler");
-const { generateToken } = require("../middleware/auth");
-const philsmsService = require("../services/philsmsService");
+const {
+  generatePasswordResetToken,
+  verifyPasswordResetToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
+} = require("../middleware/auth");
+const otpService = require("../services/otpService");
+const tokenService = require("../services/tokenService");
+const loginThrottleService = require("../services/loginThrottleService");
+const accountDataService = require("../services/accountDataService");
+const twoFactorService = require("../services/twoFactorService");
+const auditService = require("../services/auditService");
+const { permissionsFor } = require("../config/permissions");
+
+/**
+ * Send a purpose-scoped OTP and record it in the audit log
+ */
+const sendOtp = async (account, purpose, req, { sendTo } = {}) => {
+  const smsResult = await otpService.issue(account, purpose, {
+    sendTo,
+    ip: req.ip,
+  });
+
+  await auditService.record(req, {
+    action: "otp.send",
+    outcome: smsResult.success ? "success" : "failure",
+    actor: account,
+    reason: smsResult.success ? undefined : "sms-failed",
+    metadata: { purpose },
+  });
+
+  return smsResult;
+};
+
+/**
+ * Check a purpose-scoped OTP and record the outcome in the audit log
+ */
+const consumeOtp = async (account, purpose, otp, req) => {
+  try {
+    const deliveredTo = await otpService.consume(account, purpose, otp);
+    await auditService.record(req, {
+      action: "otp.verify",
+      actor: account,
+      metadata: { purpose },
+    });
+    return deliveredTo;
+  } catch (error) {
+    await auditService.record(req, {
+      action: "otp.verify",
+      outcome: "failure",
+      actor: account,
+      reason: error.message,
+      metadata: { purpose },
+    });
+    throw error;
+  }
+};
+
+/**
+ * Record a failed login for throttling and in the audit log
+ */
+const recordFailedLogin = async ({ identifier, account, req, reason }) => {
+  await loginThrottleService.record({
+    identifier,
+    account,
+    req,
+    success: false,
+    reason,
+  });
+
+  await auditService.record(req, {
+    action: "login",
+    outcome: "failure",
+    actor: account,
+    identifier: account ? undefined : identifier,
+    reason,
+  });
+};
 
 /**
  * Buyer Signup
@@ -39,26 +118,15 @@ const buyerSignup = asyncErrorHandler(async (req, res) => {
     isVerified: false,
   };
 
-  const account = await Account.create(buyerData);
-
-  // Generate OTP
-  const otp = philsmsService.generateOTP();
-  const expiresAt = new Date(Date.now() + 5 * 60 * 1000); // 5 minutes
+  // Check SMS limits before creating an account that could not be verified
+  await otpService.assertCanSend(contactNo, req.ip);
 
-  // Store OTP in database
-  account.otp = {
-    code: otp,
-    expiresAt: expiresAt,
-  };
-  await account.save();
+  const account = await Account.create(buyerData);
 
-  // Send OTP via PhilSMS
-  const smsResult = await philsmsService.sendOTP(contactNo, otp);
+  // Generate, store and send OTP (SMS failures are logged, not fatal)
+  await auditService.record(req, { action: "signup", actor: account });
 
-  if (!smsResult.success) {
-    // If SMS fails, still return success but log the error
-    console.error("Failed to send OTP:", smsResult.error);
-  }
+  const smsResult = await sendOtp(account, "signup", req);
 
   res.status(201).json({
     success: true,
@@ -90,24 +158,11 @@ const verifyOTP = asyncErrorHandler(async (req, res) => {
     throw new BadRequestError("Account is already verified");
   }
 
-  if (!account.otp || !account.otp.code) {
-    throw new BadRequestError("No OTP found. Please request a new one");
-  }
-
-  // Verify OTP
-  const isValidOTP = philsmsService.verifyOTP(
-    account.otp.code,
-    otp,
-    account.otp.expiresAt
-  );
-
-  if (!isValidOTP) {
-    throw new BadRequestError("Invalid or expired OTP");
-  }
+  // Verify and clear OTP
+  await consumeOtp(account, "signup", otp, req);
 
-  // Mark account as verified and clear OTP
+  // Mark account as verified
   account.isVerified = true;
-  account.otp = undefined;
   await account.save();
 
   res.status(200).json({
@@ -122,39 +177,11 @@ const verifyOTP = asyncErrorHandler(async (req, res) => {
 });
 
 /**
- * General Login (for all account types: buyer, seller, admin)
+ * Issue a session for an authenticated account and send the login response
  */
-const login = asyncErrorHandler(async (req, res) => {
-  const { identifier, password } = req.body;
-
-  // Find account by username, email, or contact number
-  const account = await Account.findOne({
-    $or: [
-      { username: identifier.toLowerCase() },
-      { email: identifier.toLowerCase() },
-      { contactNo: identifier },
-    ],
-  });
-
-  if (!account) {
-    throw new UnauthenticatedError("Invalid credentials");
-  }
-
-  // Check if account is verified (required for all account types)
-  if (!account.isVerified) {
-    throw new UnauthenticatedError(
-      "Account not verified. Please verify your phone number first."
-    );
-  }
-
-  const isPasswordCorrect = await account.comparePassword(password);
-
-  if (!isPasswordCorrect) {
-    throw new UnauthenticatedError("Invalid credentials");
-  }
-
-  // Generate JWT token
-  const token = generateToken(account._id);
+const sendLoginResponse = async (account, req, res) => {
+  // Start a session: short-lived access token plus rotating refresh token
+  const { token, refreshToken } = await tokenService.issueSession(account, req);
 
   // Prepare user data based on account type
   const userData = {
@@ -180,6 +207,7 @@ const login = asyncErrorHandler(async (req, res) => {
     message: "Login successful",
     data: {
       token,
+      refreshToken,
       user: userData,
     },
   });
@@ -187,29 +215,233 @@ const login = asyncErrorHandler(async (req, res) => {
   console.log(
     `${account.role} ${account.username} has successfully logged in.`
   );
+};
+
+/**
+ * Ask for the second factor instead of starting a session. The challenge
+ * token can only be exchanged for a session at /api/auth/2fa/verify.
+ */
+const sendTwoFactorChallenge = async (account, req, res) => {
+  let smsSent;
+
+  if (account.twoFactor.method === "sms") {
+    const smsResult = await sendOtp(account, "two-factor", req);
+    smsSent = smsResult.success;
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Two-factor authentication required",
+    data: {
+      twoFactorRequired: true,
+      method: account.twoFactor.method,
+      challengeToken: generateTwoFactorChallengeToken(account),
+      smsSent,
+    },
+  });
+};
+
+/**
+ * Finish a login whose first factor passed: a challenge for accounts with
+ * two-factor authentication, otherwise a session. With 2FA on, the throttle
+ * success is only recorded once the second factor passes, so a known
+ * password cannot be used to reset the second-factor failure count.
+ */
+const completeLogin = async (
+  account,
+  req,
+  res,
+  { identifier, method = "password" } = {}
+) => {
+  if (account.twoFactor.enabled) {
+    await auditService.record(req, {
+      action: "login.challenge",
+      actor: account,
+      metadata: { method, secondFactor: account.twoFactor.method },
+    });
+    return sendTwoFactorChallenge(account, req, res);
+  }
+
+  if (identifier) {
+    await loginThrottleService.record({
+      identifier,
+      account,
+      req,
+      success: true,
+    });
+  }
+
+  await auditService.record(req, {
+    action: "login",
+    actor: account,
+    metadata: { method },
+  });
+
+  await sendLoginResponse(account, req, res);
+};
+
+/**
+ * Passwordless Login - without `otp` a code is sent to contactNo,
+ * with `otp` the code is exchanged for the regular login response
+ */
+const otpLogin = async (req, res) => {
+  const { contactNo, otp } = req.body;
+
+  const account = await Account.findOne({ contactNo });
+  const canLogin = account && account.isVerified && !account.isSuspended;
+
+  if (!otp) {
+    if (canLogin) {
+      await sendOtp(account, "login", req);
+    } else {
+      // Count the request like a real send so a 429 does not reveal
+      // unregistered numbers
+      await otpService.recordSend(contactNo, "login", req.ip);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message:
+        "If this number can log in, a one-time login code has been sent.",
+    });
+  }
+
+  // Same error otpService gives for a missing or wrong code
+  if (!canLogin) {
+    throw new BadRequestError("Invalid or expired OTP");
+  }
+
+  await consumeOtp(account, "login", otp, req);
+  await account.save();
+
+  await completeLogin(account, req, res, { method: "otp" });
+};
+
+/**
+ * General Login (for all account types: buyer, seller, admin)
+ * Password login by default; `method: "otp"` logs in with an SMS code
+ */
+const login = asyncErrorHandler(async (req, res) => {
+  if (req.body.method === "otp") {
+    return otpLogin(req, res);
+  }
+
+  const { identifier, password } = req.body;
+
+  const identifierKey = identifier.toLowerCase();
+
+  // Find account by username, email, or contact number
+  const account = await Account.findOne({
+    $or: [
+      { username: identifierKey },
+      { email: identifierKey },
+      { contactNo: identifier },
+    ],
+  });
+
+  // Progressive delay and temporary lockout after repeated failures
+  await loginThrottleService.assertCanAttempt({
+    identifier: identifierKey,
+    account,
+    ip: req.ip,
+  });
+
+  if (!account) {
+    await recordFailedLogin({
+      identifier: identifierKey,
+      req,
+      reason: "unknown-account",
+    });
+    throw new UnauthenticatedError("Invalid credentials");
+  }
+
+  // Check if account is verified (required for all account types)
+  if (!account.isVerified) {
+    await auditService.record(req, {
+      action: "login",
+      outcome: "failure",
+      actor: account,
+      reason: "unverified",
+    });
+    throw new UnauthenticatedError(
+      "Account not verified. Please verify your phone number first."
+    );
+  }
+
+  const isPasswordCorrect = await account.comparePassword(password);
+
+  if (!isPasswordCorrect) {
+    await recordFailedLogin({
+      identifier: identifierKey,
+      account,
+      req,
+      reason: "bad-password",
+    });
+    throw new UnauthenticatedError("Invalid credentials");
+  }
+
+  if (account.isSuspended) {
+    await auditService.record(req, {
+      action: "login",
+      outcome: "failure",
+      actor: account,
+      reason: "suspended",
+    });
+    throw new UnauthorizedError(
+      "Account is suspended. Please contact support."
+    );
+  }
+
+  await completeLogin(account, req, res, { identifier: identifierKey });
 });
 
 /**
  * Buyer Login (specific for buyer accounts)
  */
 const buyerLogin = asyncErrorHandler(async (req, res) => {
+  if (req.body.method === "otp") {
+    throw new BadRequestError(
+      "Passwordless login is only available at /api/auth/login"
+    );
+  }
+
   const { identifier, password } = req.body;
 
+  const identifierKey = identifier.toLowerCase();
+
   // Find account by username, email, or contact number
   const account = await Account.findOne({
     $or: [
-      { username: identifier.toLowerCase() },
-      { email: identifier.toLowerCase() },
+      { username: identifierKey },
+      { email: identifierKey },
       { contactNo: identifier },
     ],
   });
 
+  // Progressive delay and temporary lockout after repeated failures
+  await loginThrottleService.assertCanAttempt({
+    identifier: identifierKey,
+    account,
+    ip: req.ip,
+  });
+
   if (!account) {
+    await recordFailedLogin({
+      identifier: identifierKey,
+      req,
+      reason: "unknown-account",
+    });
     throw new UnauthenticatedError("Invalid credentials");
   }
 
   // Check if account is verified
   if (!account.isVerified) {
+    await auditService.record(req, {
+      action: "login",
+      outcome: "failure",
+      actor: account,
+      reason: "unverified",
+    });
     throw new UnauthenticatedError(
       "Account not verified. Please verify your phone number first."
     );
@@ -223,17 +455,57 @@ const buyerLogin = asyncErrorHandler(async (req, res) => {
   const isPasswordCorrect = await account.comparePassword(password);
 
   if (!isPasswordCorrect) {
+    await recordFailedLogin({
+      identifier: identifierKey,
+      account,
+      req,
+      reason: "bad-password",
+    });
     throw new UnauthenticatedError("Invalid credentials");
   }
 
-  // Generate JWT token
-  const token = generateToken(account._id);
+  if (account.isSuspended) {
+    await auditService.record(req, {
+      action: "login",
+      outcome: "failure",
+      actor: account,
+      reason: "suspended",
+    });
+    throw new UnauthorizedError(
+      "Account is suspended. Please contact support."
+    );
+  }
+
+  if (account.twoFactor.enabled) {
+    await auditService.record(req, {
+      action: "login.challenge",
+      actor: account,
+      metadata: { method: "password", secondFactor: account.twoFactor.method },
+    });
+    return sendTwoFactorChallenge(account, req, res);
+  }
+
+  await loginThrottleService.record({
+    identifier: identifierKey,
+    account,
+    req,
+    success: true,
+  });
+  await auditService.record(req, {
+    action: "login",
+    actor: account,
+    metadata: { method: "password" },
+  });
+
+  // Start a session: short-lived access token plus rotating refresh token
+  const { token, refreshToken } = await tokenService.issueSession(account, req);
 
   res.status(200).json({
     success: true,
     message: "Buyer login successful",
     data: {
       token,
+      refreshToken,
       user: {
         id: account._id,
         firstName: account.firstName,
@@ -252,6 +524,158 @@ const buyerLogin = asyncErrorHandler(async (req, res) => {
   console.log(`Buyer ${account.username} has successfully logged in.`);
 });
 
+/**
+ * Verify Two-Factor Login - exchange a challenge token and a second factor
+ * (authenticator/SMS code or a recovery code) for a session
+ */
+const verifyTwoFactorLogin = asyncErrorHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  const account = await verifyTwoFactorChallengeToken(challengeToken);
+  const identifier = account.username;
+
+  // Second-factor guesses count towards the same lockout as passwords
+  await loginThrottleService.assertCanAttempt({
+    identifier,
+    account,
+    ip: req.ip,
+  });
+
+  if (
+    !account.isVerified ||
+    account.isSuspended ||
+    !account.twoFactor.enabled
+  ) {
+    throw new UnauthenticatedError(
+      "Invalid or expired login challenge. Please log in again."
+    );
+  }
+
+  let factor;
+  try {
+    factor = await twoFactorService.verifySecondFactor(account, {
+      code,
+      recoveryCode,
+    });
+  } catch (error) {
+    await loginThrottleService.record({
+      identifier,
+      account,
+      req,
+      success: false,
+      reason: "bad-second-factor",
+    });
+    await auditService.record(req, {
+      action: "login.two-factor",
+      outcome: "failure",
+      actor: account,
+      reason: "bad-second-factor",
+    });
+    throw error;
+  }
+
+  await account.save();
+
+  await loginThrottleService.record({
+    identifier,
+    account,
+    req,
+    success: true,
+  });
+  await auditService.record(req, {
+    action: "login.two-factor",
+    actor: account,
+    metadata: { factor },
+  });
+
+  await sendLoginResponse(account, req, res);
+});
+
+/**
+ * Resend Two-Factor Code - send a new SMS code for a pending challenge
+ */
+const resendTwoFactorCode = asyncErrorHandler(async (req, res) => {
+  const account = await verifyTwoFactorChallengeToken(req.body.challengeToken);
+
+  if (!account.twoFactor.enabled || account.twoFactor.method !== "sms") {
+    throw new BadRequestError(
+      "This account uses an authenticator app. Enter the code from the app or a recovery code."
+    );
+  }
+
+  const smsResult = await sendOtp(account, "two-factor", req);
+
+  res.status(200).json({
+    success: true,
+    message: "Verification code sent successfully",
+    smsSent: smsResult.success,
+  });
+});
+
+/**
+ * Refresh Access Token - rotate a refresh token into a new token pair
+ */
+const refreshAccessToken = asyncErrorHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  let result;
+  try {
+    result = await tokenService.rotate(refreshToken, req);
+  } catch (error) {
+    await auditService.record(req, {
+      action: "token.refresh",
+      outcome: "failure",
+      reason: error.message,
+    });
+    throw error;
+  }
+
+  await auditService.record(req, {
+    action: "token.refresh",
+    actor: result.account,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Token refreshed successfully",
+    data: {
+      token: result.token,
+      refreshToken: result.refreshToken,
+    },
+  });
+});
+
+/**
+ * Logout - end the session a refresh token belongs to
+ */
+const logout = asyncErrorHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  const userId = await tokenService.revokeSession(refreshToken);
+
+  if (userId) {
+    await auditService.record(req, { action: "logout", actor: userId });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Logged out successfully",
+  });
+});
+
+/**
+ * Logout All - end every session of the current user
+ */
+const logoutAll = asyncErrorHandler(async (req, res) => {
+  await tokenService.revokeAllSessions(req.user);
+  await auditService.record(req, { action: "logout-all" });
+
+  res.status(200).json({
+    success: true,
+    message: "Logged out from all devices successfully",
+  });
+});
+
 /**
  * Get User Profile (for all account types)
  */
@@ -276,7 +700,13 @@ const getUserProfile = asyncErrorHandler(async (req, res) => {
     userData.address = user.address;
     userData.dateOfBirth = user.dateOfBirth;
   }
-  // Add more role-specific fields as needed for seller/admin
+  if (user.role === "seller") {
+    userData.store = user.store;
+  }
+  if (user.sellerApplication && user.sellerApplication.status) {
+    userData.sellerApplication = user.sellerApplication;
+  }
+  userData.permissions = permissionsFor(user.role);
 
   res.status(200).json({
     success: true,
@@ -286,6 +716,431 @@ const getUserProfile = asyncErrorHandler(async (req, res) => {
   });
 });
 
+/**
+ * Update Profile - name and address
+ */
+const updateProfile = asyncErrorHandler(async (req, res) => {
+  const { firstName, lastName, address } = req.body;
+
+  const account = await Account.findById(req.user._id);
+
+  if (!account) {
+    throw new NotFoundError("Account not found");
+  }
+
+  if (firstName !== undefined) account.firstName = firstName;
+  if (lastName !== undefined) account.lastName = lastName;
+  if (address !== undefined) account.address = address;
+  await account.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Profile updated successfully",
+    data: {
+      user: {
+        id: account._id,
+        firstName: account.firstName,
+        lastName: account.lastName,
+        address: account.address,
+      },
+    },
+  });
+});
+
+/**
+ * Change Password - requires the current password
+ */
+const changePassword = asyncErrorHandler(async (req, res) => {
+  const { currentPassword, password } = req.body;
+
+  const account = await Account.findById(req.user._id);
+
+  if (!account) {
+    throw new NotFoundError("Account not found");
+  }
+
+  const isPasswordCorrect = await account.comparePassword(currentPassword);
+
+  if (!isPasswordCorrect) {
+    await auditService.record(req, {
+      action: "password.change",
+      outcome: "failure",
+      reason: "bad-password",
+    });
+    throw new UnauthenticatedError("Current password is incorrect");
+  }
+
+  account.password = password;
+  await account.save();
+  await auditService.record(req, { action: "password.change" });
+
+  // End every other session, then keep this device signed in
+  await tokenService.revokeAllSessions(account);
+  const { token, refreshToken } = await tokenService.issueSession(account, req);
+
+  res.status(200).json({
+    success: true,
+    message: "Password changed successfully",
+    data: {
+      token,
+      refreshToken,
+    },
+  });
+});
+
+/**
+ * Change Email
+ */
+const changeEmail = asyncErrorHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const account = await Account.findById(req.user._id);
+
+  if (!account) {
+    throw new NotFoundError("Account not found");
+  }
+
+  const previousEmail = account.email;
+  account.email = email.toLowerCase();
+  await account.save();
+
+  await auditService.record(req, {
+    action: "email.change",
+    metadata: { from: previousEmail, to: account.email },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Email updated successfully",
+    data: {
+      email: account.email,
+    },
+  });
+});
+
+/**
+ * Request Contact Number Change - send an OTP to the new number
+ */
+const requestContactChange = asyncErrorHandler(async (req, res) => {
+  const { contactNo } = req.body;
+
+  const account = await Account.findById(req.user._id);
+
+  if (!account) {
+    throw new NotFoundError("Account not found");
+  }
+
+  if (account.contactNo === contactNo) {
+    throw new BadRequestError("This is already your contact number");
+  }
+
+  const smsResult = await sendOtp(account, "contact-change", req, {
+    sendTo: contactNo,
+  });
+
+  res.status(200).json({
+    success: true,
+    message:
+      "Verification code sent to the new number. Your contact number will change once it is verified.",
+    data: {
+      pendingContactNo: contactNo,
+    },
+    smsSent: smsResult.success,
+  });
+});
+
+/**
+ * Verify Contact Number Change - apply the new number after OTP verification
+ */
+const verifyContactChange = asyncErrorHandler(async (req, res) => {
+  const { otp } = req.body;
+
+  const account = await Account.findById(req.user._id);
+
+  if (!account) {
+    throw new NotFoundError("Account not found");
+  }
+
+  const newContactNo = await consumeOtp(account, "contact-change", otp, req);
+
+  // The number may have been registered since the code was sent
+  const existingUser = await Account.findOne({
+    contactNo: newContactNo,
+    _id: { $ne: account._id },
+  });
+
+  if (existingUser) {
+    await account.save();
+    throw new BadRequestError("Contact number already exists");
+  }
+
+  const previousContactNo = account.contactNo;
+  account.contactNo = newContactNo;
+  await account.save();
+
+  await auditService.record(req, {
+    action: "contact.change",
+    metadata: { from: previousContactNo, to: account.contactNo },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Contact number updated successfully",
+    data: {
+      contactNo: account.contactNo,
+    },
+  });
+});
+
+/**
+ * Get My Activity - recent security events on the caller's account,
+ * including actions admins took on it
+ */
+const getMyActivity = asyncErrorHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const filter = {
+    $or: [{ actor: req.user._id }, { target: req.user._id }],
+  };
+
+  // Calculate pagination
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const events = await AuditEvent.find(filter)
+    .select("action outcome ip userAgent reason metadata createdAt")
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const totalItems = await AuditEvent.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    data: events,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(totalItems / parseInt(limit)),
+      totalItems,
+      itemsPerPage: parseInt(limit),
+    },
+  });
+});
+
+/**
+ * Export My Data - everything stored about the caller, as a JSON download
+ */
+const exportMyData = asyncErrorHandler(async (req, res) => {
+  const data = await accountDataService.exportAccountData(req.user._id);
+  await auditService.record(req, { action: "account.export" });
+
+  res.set(
+    "Content-Disposition",
+    `attachment; filename="coast2cart-data-${req.user._id}.json"`
+  );
+  res.status(200).json({
+    success: true,
+    data,
+  });
+});
+
+/**
+ * Delete My Account - anonymise personal data (requires the password)
+ */
+const deleteMyAccount = asyncErrorHandler(async (req, res) => {
+  const { password } = req.body;
+
+  const account = await Account.findById(req.user._id);
+
+  if (!account) {
+    throw new NotFoundError("Account not found");
+  }
+
+  const isPasswordCorrect = await account.comparePassword(password);
+
+  if (!isPasswordCorrect) {
+    await auditService.record(req, {
+      action: "account.delete",
+      outcome: "failure",
+      reason: "bad-password",
+    });
+    throw new UnauthenticatedError("Password is incorrect");
+  }
+
+  await accountDataService.anonymiseAccount(account);
+  await auditService.record(req, { action: "account.delete" });
+
+  res.status(200).json({
+    success: true,
+    message:
+      "Your account has been deleted. Sales records are kept without your personal details.",
+  });
+});
+
+/**
+ * Forgot Password - send a password reset OTP
+ */
+const forgotPassword = asyncErrorHandler(async (req, res) => {
+  const { contactNo } = req.body;
+
+  const account = await Account.findOne({ contactNo });
+
+  // Only verified accounts can reset; the response never reveals which
+  // numbers are registered
+  if (account && account.isVerified) {
+    await sendOtp(account, "password-reset", req);
+  } else {
+    // Count the request like a real send so a 429 does not reveal
+    // unregistered numbers
+    await otpService.recordSend(contactNo, "password-reset", req.ip);
+  }
+
+  res.status(200).json({
+    success: true,
+    message:
+      "If an account exists for this number, a password reset code has been sent.",
+  });
+});
+
+/**
+ * Verify Password Reset OTP - exchange the code for a reset token
+ */
+const verifyPasswordResetOTP = asyncErrorHandler(async (req, res) => {
+  const { otp, contactNo } = req.body;
+
+  const account = await Account.findOne({ contactNo });
+
+  if (!account || !account.isVerified) {
+    throw new BadRequestError("Invalid or expired OTP");
+  }
+
+  await consumeOtp(account, "password-reset", otp, req);
+  await account.save();
+
+  res.status(200).json({
+    success: true,
+    message: "OTP verified. You can now set a new password.",
+    data: {
+      resetToken: generatePasswordResetToken(account),
+    },
+  });
+});
+
+/**
+ * Reset Password - set a new password using a reset token
+ */
+const resetPassword = asyncErrorHandler(async (req, res) => {
+  const { resetToken, password } = req.body;
+
+  const account = await verifyPasswordResetToken(resetToken);
+
+  // Saving a new password stamps passwordChangedAt, which revokes
+  // every token issued before now; refresh tokens are revoked as well
+  account.password = password;
+  await account.save();
+  await tokenService.revokeAllSessions(account);
+  await auditService.record(req, { action: "password.reset", actor: account });
+
+  res.status(200).json({
+    success: true,
+    message: "Password reset successfully. Please log in again.",
+  });
+});
+
+/**
+ * Apply to become a seller (verified accounts only)
+ */
+const applyAsSeller = asyncErrorHandler(async (req, res) => {
+  const {
+    storeName,
+    storeAddress,
+    storeDescription,
+    permitNo,
+    latitude,
+    longitude,
+  } = req.body;
+
+  const account = await Account.findById(req.user._id);
+
+  if (!account) {
+    throw new NotFoundError("Account not found");
+  }
+
+  if (account.role !== "buyer") {
+    throw new BadRequestError(
+      "Only buyer accounts can apply to become sellers"
+    );
+  }
+
+  if (
+    account.sellerApplication &&
+    account.sellerApplication.status === "pending"
+  ) {
+    throw new BadRequestError("You already have a pending seller application");
+  }
+
+  account.store = {
+    name: storeName,
+    address: storeAddress,
+    description: storeDescription,
+    permitNo,
+    geoLocation:
+      latitude !== undefined && longitude !== undefined
+        ? toGeoPoint(latitude, longitude)
+        : undefined,
+  };
+  account.sellerApplication = {
+    status: "pending",
+    submittedAt: new Date(),
+  };
+  await account.save();
+  await auditService.record(req, { action: "seller.apply" });
+
+  res.status(201).json({
+    success: true,
+    message:
+      "Seller application submitted successfully. Please wait for admin approval.",
+    data: {
+      store: account.store,
+      sellerApplication: account.sellerApplication,
+    },
+  });
+});
+
+/**
+ * Set the store's map position; optionally move the seller's listings too
+ */
+const updateStoreLocation = asyncErrorHandler(async (req, res) => {
+  const { latitude, longitude, updateListings = false } = req.body;
+
+  const account = await Account.findById(req.user._id);
+
+  if (!account) {
+    throw new NotFoundError("Account not found");
+  }
+
+  const geoLocation = toGeoPoint(latitude, longitude);
+  account.store.geoLocation = geoLocation;
+  await account.save();
+
+  const listingsUpdated = updateListings
+    ? (
+        await Item.updateMany(
+          { seller: account._id, isActive: true },
+          { geoLocation }
+        )
+      ).modifiedCount
+    : 0;
+
+  res.status(200).json({
+    success: true,
+    message: "Store location updated successfully",
+    data: {
+      store: account.store,
+      listingsUpdated,
+    },
+  });
+});
+
 /**
  * Get Buyer Profile (specific for buyer accounts)
  */
@@ -333,23 +1188,8 @@ const resendOTP = asyncErrorHandler(async (req, res) => {
     throw new BadRequestError("Account is already verified");
   }
 
-  // Generate new OTP
-  const otp = philsmsService.generateOTP();
-  const expiresAt = new Date(Date.now() + 5 * 60 * 1000); // 5 minutes
-
-  // Update OTP in database
-  account.otp = {
-    code: otp,
-    expiresAt: expiresAt,
-  };
-  await account.save();
-
-  // Send OTP via PhilSMS
-  const smsResult = await philsmsService.sendOTP(contactNo, otp);
-
-  if (!smsResult.success) {
-    console.error("Failed to resend OTP:", smsResult.error);
-  }
+  // Generate, store and send a new OTP
+  const smsResult = await sendOtp(account, "signup", req);
 
   res.status(200).json({
     success: true,
@@ -363,7 +1203,25 @@ module.exports = {
   verifyOTP,
   login,
   buyerLogin, // Keep for backward compatibility
+  verifyTwoFactorLogin,
+  resendTwoFactorCode,
+  refreshAccessToken,
+  logout,
+  logoutAll,
   getUserProfile,
   getBuyerProfile, // Keep for backward compatibility
   resendOTP,
+  updateProfile,
+  changePassword,
+  changeEmail,
+  requestContactChange,
+  verifyContactChange,
+  getMyActivity,
+  exportMyData,
+  deleteMyAccount,
+  forgotPassword,
+  verifyPasswordResetOTP,
+  resetPassword,
+  applyAsSeller,
+  updateStoreLocation,
 };
@@ -1,5 +1,6 @@
 const Cart = require("../models/Cart");
 const Item = require("../models/Item");
+const unitService = require("../services/unitService");
 const {
   BadRequestError,
   NotFoundError,
@@ -7,12 +8,43 @@ const {
 } = require("../errors");
 const { StatusCodes } = require("http-status-codes");
 
+/**
+ * The item itself, or the chosen variant for items sold in variants
+ */
+const findOffer = (item, variantId) => {
+  const offer = item.findOffer(variantId);
+
+  if (!offer) {
+    throw new BadRequestError(
+      item.variants.length > 0
+        ? "Please choose one of this item's variants"
+        : "This item has no variants"
+    );
+  }
+  return offer;
+};
+
+/**
+ * Quantity of a cart entry in the unit its item (or variant) is sold in,
+ * or null when the seller has since removed the variant or switched to an
+ * incompatible unit
+ */
+const quantityInOfferUnit = (cartItem) => {
+  const offer = cartItem.item.findOffer(cartItem.variant);
+  if (!offer) return null;
+
+  const unit = cartItem.unit || offer.unit;
+  if (!unitService.areCompatible(unit, offer.unit)) return null;
+
+  return unitService.convert(cartItem.quantity, unit, offer.unit);
+};
+
 /**
  * Add item to cart
  */
 const addToCart = async (req, res, next) => {
   try {
-    const { itemId, quantity } = req.body;
+    const { itemId, variantId, quantity, unit } = req.body;
 
     // Validate required fields
     if (!itemId || !quantity) {
@@ -36,8 +68,18 @@ const addToCart = async (req, res, next) => {
       return next(new BadRequestError("Item is no longer available"));
     }
 
+    // Price, unit and stock come from the variant for items sold in variants
+    const offer = findOffer(item, variantId);
+
+    // Quantities may be given in any unit compatible with the listing's
+    const cartUnit = unit || offer.unit;
+    const requested = unitService.convert(parsedQuantity, cartUnit, offer.unit);
+    if (requested <= 0) {
+      return next(new BadRequestError("Quantity is too small"));
+    }
+
     // Check if sufficient quantity is available
-    if (parsedQuantity > item.quantity) {
+    if (requested > offer.quantity) {
       return next(new BadRequestError("Insufficient quantity available"));
     }
 
@@ -50,20 +92,35 @@ const addToCart = async (req, res, next) => {
     const existingCartItem = await Cart.findOne({
       user: req.user.id,
       item: itemId,
+      variant: variantId || null,
     });
 
     if (existingCartItem) {
-      // Update existing cart item
-      const newQuantity = existingCartItem.quantity + parsedQuantity;
+      // Update existing cart item, switching it to the unit just used
+      const newQuantity =
+        unitService.convert(
+          existingCartItem.quantity,
+          existingCartItem.unit || offer.unit,
+          cartUnit
+        ) + parsedQuantity;
+
+      const total = unitService.convert(newQuantity, cartUnit, offer.unit);
 
       // Check if new total quantity exceeds available stock
-      if (newQuantity > item.quantity) {
+      if (total > offer.quantity) {
         return next(
           new BadRequestError("Total quantity exceeds available stock")
         );
       }
 
+      // The seller's order limits apply to the combined quantity
+      const orderError = Item.orderQuantityError(offer, total);
+      if (orderError) {
+        return next(new BadRequestError(orderError));
+      }
+
       existingCartItem.quantity = newQuantity;
+      existingCartItem.unit = cartUnit;
       await existingCartItem.save();
 
       res.status(StatusCodes.OK).json({
@@ -71,16 +128,26 @@ const addToCart = async (req, res, next) => {
         message: "Cart item updated successfully",
         data: {
           itemId,
+          variantId: existingCartItem.variant,
           quantity: newQuantity,
+          unit: cartUnit,
           addedAt: existingCartItem.updatedAt,
         },
       });
     } else {
+      // Check the seller's minimum, maximum and step
+      const orderError = Item.orderQuantityError(offer, requested);
+      if (orderError) {
+        return next(new BadRequestError(orderError));
+      }
+
       // Create new cart item
       const cartItem = new Cart({
         user: req.user.id,
         item: itemId,
+        variant: variantId || null,
         quantity: parsedQuantity,
+        unit: cartUnit,
       });
 
       await cartItem.save();
@@ -90,7 +157,9 @@ const addToCart = async (req, res, next) => {
         message: "Item added to cart successfully",
         data: {
           itemId,
+          variantId: cartItem.variant,
           quantity: parsedQuantity,
+          unit: cartUnit,
           addedAt: cartItem.createdAt,
         },
       });
@@ -123,8 +192,13 @@ const getCart = async (req, res, next) => {
     const cartData = cartItems
       .map((cartItem) => {
         if (cartItem.item) {
-          const totalPrice = cartItem.item.itemPrice * cartItem.quantity;
-          cartTotal += totalPrice;
+          // Entries whose variant or unit no longer fits the listing stay
+          // visible but are left out of the total until the buyer updates them
+          const offer = cartItem.item.findOffer(cartItem.variant);
+          const offerQuantity = quantityInOfferUnit(cartItem);
+          const totalPrice =
+            offerQuantity === null ? null : offer.itemPrice * offerQuantity;
+          cartTotal += totalPrice || 0;
           itemCount += 1;
           sellerIds.add(cartItem.item.seller._id.toString());
 
@@ -133,12 +207,18 @@ const getCart = async (req, res, next) => {
             item: {
               _id: cartItem.item._id,
               itemName: cartItem.item.itemName,
-              itemPrice: cartItem.item.itemPrice,
-              unit: cartItem.item.unit,
+              itemPrice: (offer || cartItem.item).itemPrice,
+              unit: (offer || cartItem.item).unit,
+              pricePerKg: (offer || cartItem.item).pricePerKg,
               image: cartItem.item.image,
               seller: cartItem.item.seller,
             },
+            variant:
+              offer && offer !== cartItem.item
+                ? { _id: offer._id, label: offer.label }
+                : null,
             quantity: cartItem.quantity,
+            unit: cartItem.unit || (offer || cartItem.item).unit,
             totalPrice,
             addedAt: cartItem.createdAt,
           };
@@ -164,7 +244,7 @@ const getCart = async (req, res, next) => {
  */
 const updateCartItem = async (req, res, next) => {
   try {
-    const { itemId, quantity } = req.body;
+    const { itemId, variantId, quantity, unit } = req.body;
 
     // Validate required fields
     if (!itemId || quantity === undefined) {
@@ -183,6 +263,7 @@ const updateCartItem = async (req, res, next) => {
     const cartItem = await Cart.findOne({
       user: req.user.id,
       item: itemId,
+      variant: variantId || null,
     });
 
     if (!cartItem) {
@@ -208,23 +289,45 @@ const updateCartItem = async (req, res, next) => {
       return next(new BadRequestError("Item is no longer available"));
     }
 
+    const offer = findOffer(item, cartItem.variant);
+
+    // Keep the entry's unit unless another compatible one is given
+    const cartUnit = unit || cartItem.unit || offer.unit;
+    const offerQuantity = unitService.convert(
+      parsedQuantity,
+      cartUnit,
+      offer.unit
+    );
+    if (offerQuantity <= 0) {
+      return next(new BadRequestError("Quantity is too small"));
+    }
+
     // Check if quantity exceeds available stock
-    if (parsedQuantity > item.quantity) {
+    if (offerQuantity > offer.quantity) {
       return next(new BadRequestError("Insufficient quantity available"));
     }
 
+    // Check the seller's minimum, maximum and step
+    const orderError = Item.orderQuantityError(offer, offerQuantity);
+    if (orderError) {
+      return next(new BadRequestError(orderError));
+    }
+
     // Update cart item
     cartItem.quantity = parsedQuantity;
+    cartItem.unit = cartUnit;
     await cartItem.save();
 
-    const totalPrice = item.itemPrice * parsedQuantity;
+    const totalPrice = offer.itemPrice * offerQuantity;
 
     res.status(StatusCodes.OK).json({
       success: true,
       message: "Cart item updated successfully",
       data: {
         itemId,
+        variantId: cartItem.variant,
         quantity: parsedQuantity,
+        unit: cartUnit,
         totalPrice,
       },
     });
@@ -239,6 +342,7 @@ const updateCartItem = async (req, res, next) => {
 const removeFromCart = async (req, res, next) => {
   try {
     const { itemId } = req.params;
+    const { variantId } = req.query;
 
     if (!itemId) {
       return next(new BadRequestError("Item ID is required"));
@@ -247,6 +351,7 @@ const removeFromCart = async (req, res, next) => {
     const cartItem = await Cart.findOneAndDelete({
       user: req.user.id,
       item: itemId,
+      variant: variantId || null,
     });
 
     if (!cartItem) {
@@ -285,7 +390,7 @@ const getCartSummary = async (req, res, next) => {
   try {
     const cartItems = await Cart.find({ user: req.user.id }).populate(
       "item",
-      "itemPrice seller"
+      "itemPrice unit variants seller"
     );
 
     let cartTotal = 0;
@@ -294,7 +399,10 @@ const getCartSummary = async (req, res, next) => {
 
     cartItems.forEach((cartItem) => {
       if (cartItem.item) {
-        cartTotal += cartItem.item.itemPrice * cartItem.quantity;
+        const offer = cartItem.item.findOffer(cartItem.variant);
+        cartTotal += offer
+          ? offer.itemPrice * (quantityInOfferUnit(cartItem) || 0)
+          : 0;
         itemCount += 1;
         sellerIds.add(cartItem.item.seller.toString());
       }
@@ -1,12 +1,15 @@
+const mongoose = require("mongoose");
 const Item = require("../models/Item");
 const SoldItem = require("../models/SoldItem");
 const Account = require("../models/Accounts");
-const {
-  BadRequestError,
-  NotFoundError,
-  UnauthorizedError,
-} = require("../errors");
+const { toGeoPoint } = require("../models/GeoPoint");
+const { BadRequestError, NotFoundError } = require("../errors");
 const { StatusCodes } = require("http-status-codes");
+const speciesService = require("../services/speciesService");
+const catalogService = require("../services/catalogService");
+const paginationService = require("../services/paginationService");
+const categoryService = require("../services/categoryService");
+const unitService = require("../services/unitService");
 const {
   uploadToCloudinary,
   deleteFromCloudinary,
@@ -14,12 +17,62 @@ const {
   getOptimizedImageUrl,
 } = require("../middleware/cloudinaryUpload");
 
+/**
+ * Validate image files before uploading (multer's filter also checks type)
+ */
+const checkImageFiles = (files) => {
+  for (const file of files) {
+    if (!file.mimetype.startsWith("image/")) {
+      throw new BadRequestError("Only image files are allowed");
+    }
+    if (file.size > 10 * 1024 * 1024) {
+      throw new BadRequestError("Image file size must be less than 10MB");
+    }
+  }
+};
+
+/**
+ * Upload images to Cloudinary in order. If one fails, the ones already
+ * uploaded are deleted again so no orphans are left behind.
+ * @returns {Promise<Object[]>} - Gallery entries { url, publicId }
+ */
+const uploadImages = async (files) => {
+  const uploaded = [];
+
+  try {
+    for (const file of files) {
+      const result = await uploadToCloudinary(file, "coast2cart/items");
+      uploaded.push({ url: result.secure_url, publicId: result.public_id });
+    }
+  } catch (uploadError) {
+    console.error("Cloudinary upload failed:", uploadError);
+    await deleteImages(uploaded);
+    throw new BadRequestError("Failed to upload image. Please try again.");
+  }
+
+  return uploaded;
+};
+
+/**
+ * Delete images from Cloudinary; failures are logged, not thrown
+ */
+const deleteImages = async (images) => {
+  for (const image of images) {
+    try {
+      await deleteFromCloudinary(image.publicId);
+    } catch (error) {
+      console.error("Error deleting image from Cloudinary:", error);
+    }
+  }
+};
+
 /**
  * Create a new item listing
  */
 const createItem = async (req, res, next) => {
   try {
     const {
+      category,
       itemType,
       itemName,
       itemPrice,
@@ -27,84 +80,101 @@ const createItem = async (req, res, next) => {
       unit,
       description,
       location,
+      latitude,
+      longitude,
+      variants,
+      minOrderQuantity,
+      maxOrderQuantity,
+      quantityStep,
     } = req.body;
 
-    // Validate required fields
-    if (!itemType || !itemName || !itemPrice || !quantity || !unit) {
+    // Items sold in variants take price, quantity and unit from them
+    const hasVariants = Array.isArray(variants) && variants.length > 0;
+
+    // Validate required fields (older clients send a root `itemType`)
+    if (
+      !(category || itemType) ||
+      !itemName ||
+      (!hasVariants && (!itemPrice || !quantity || !unit))
+    ) {
       return next(
         new BadRequestError(
-          "Missing required fields: itemType, itemName, itemPrice, quantity, unit"
+          "Missing required fields: category, itemName, itemPrice, quantity, unit"
         )
       );
     }
 
+    // A legacy `image` (used as the cover) and/or a gallery of `images`
+    const files = [
+      ...((req.files && req.files.image) || []),
+      ...((req.files && req.files.images) || []),
+    ];
+
     // Check if image was uploaded
-    if (!req.file) {
+    if (files.length === 0) {
       return next(new BadRequestError("Item image is required"));
     }
 
-    // Validate image file
-    if (!req.file.mimetype.startsWith("image/")) {
-      return next(new BadRequestError("Only image files are allowed"));
-    }
-
-    // Validate file size (10MB limit)
-    if (req.file.size > 10 * 1024 * 1024) {
+    if (files.length > Item.MAX_IMAGES) {
       return next(
-        new BadRequestError("Image file size must be less than 10MB")
+        new BadRequestError(
+          `An item can have at most ${Item.MAX_IMAGES} images`
+        )
       );
     }
 
-    let cloudinaryResult = null;
-    try {
-      // Upload image to Cloudinary
-      cloudinaryResult = await uploadToCloudinary(req.file, "coast2cart/items");
-    } catch (uploadError) {
-      console.error("Cloudinary upload failed:", uploadError);
-      return next(
-        new BadRequestError("Failed to upload image. Please try again.")
-      );
-    }
+    checkImageFiles(files);
 
     // Validate parsed numbers
     const parsedPrice = parseFloat(itemPrice);
     const parsedQuantity = parseFloat(quantity);
 
-    if (isNaN(parsedPrice) || parsedPrice <= 0) {
+    if (!hasVariants && (isNaN(parsedPrice) || parsedPrice <= 0)) {
       return next(new BadRequestError("Item price must be a positive number"));
     }
 
-    if (isNaN(parsedQuantity) || parsedQuantity < 0) {
+    if (!hasVariants && (isNaN(parsedQuantity) || parsedQuantity < 0)) {
       return next(
         new BadRequestError("Quantity must be a non-negative number")
       );
     }
 
-    // Create new item
+    const classification = await categoryService.classify(category || itemType);
+    const speciesKey = await speciesService.resolveSpeciesKey(itemName);
+    const images = await uploadImages(files);
+
+    // Create new item (the cover is mirrored into image/imagePublicId)
     const item = new Item({
       seller: req.user.id,
-      itemType,
+      ...classification,
       itemName,
-      itemPrice: parsedPrice,
-      quantity: parsedQuantity,
-      unit,
-      image: cloudinaryResult.secure_url, // Cloudinary URL
-      imagePublicId: cloudinaryResult.public_id, // Store public ID for future operations
+      speciesKey,
+      // Mirrored from the first variant in stock when there are variants
+      ...(hasVariants
+        ? { variants }
+        : {
+            itemPrice: parsedPrice,
+            quantity: parsedQuantity,
+            unit,
+            minOrderQuantity,
+            maxOrderQuantity,
+            quantityStep,
+          }),
+      images,
       description,
       location,
+      // Own coordinates, otherwise wherever the seller's store is
+      geoLocation:
+        latitude !== undefined && longitude !== undefined
+          ? toGeoPoint(latitude, longitude)
+          : req.user.store && req.user.store.geoLocation,
     });
 
     try {
       await item.save();
     } catch (saveError) {
-      // If item save fails, clean up uploaded image
-      if (cloudinaryResult && cloudinaryResult.public_id) {
-        try {
-          await deleteFromCloudinary(cloudinaryResult.public_id);
-        } catch (deleteError) {
-          console.error("Failed to clean up uploaded image:", deleteError);
-        }
-      }
+      // If item save fails, clean up uploaded images
+      await deleteImages(images);
       throw saveError;
     }
 
@@ -130,60 +200,33 @@ const createItem = async (req, res, next) => {
  */
 const getAllItems = async (req, res, next) => {
   try {
-    const {
-      itemType,
-      seller,
-      search,
-      sortBy = "catchDate",
-      sortOrder = "desc",
-      page = 1,
-      limit = 20,
-    } = req.query;
-
-    // Build filter object
-    const filter = { isActive: true };
-
-    if (itemType) {
-      filter.itemType = itemType;
-    }
-
-    if (seller) {
-      filter.seller = seller;
-    }
-
-    if (search) {
-      filter.$or = [
-        { itemName: { $regex: search, $options: "i" } },
-        { description: { $regex: search, $options: "i" } },
-      ];
-    }
-
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === "desc" ? -1 : 1;
-
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    // Results, total and facet counts come from a single aggregation
+    const { items, pagination, facets } = await catalogService.search(
+      req.query,
+      paginationService.parse(req.query)
+    );
 
-    // Execute query
-    const items = await Item.find(filter)
-      .populate("seller", "firstName lastName username email contactNo address")
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit));
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: items,
+      facets,
+      pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Get total count for pagination
-    const totalItems = await Item.countDocuments(filter);
+/**
+ * Get the category tree
+ */
+const getCategoryTree = async (req, res, next) => {
+  try {
+    const categories = await categoryService.getTree();
 
     res.status(StatusCodes.OK).json({
       success: true,
-      data: items,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(totalItems / parseInt(limit)),
-        totalItems,
-        itemsPerPage: parseInt(limit),
-      },
+      data: categories,
     });
   } catch (error) {
     next(error);
@@ -196,7 +239,7 @@ const getAllItems = async (req, res, next) => {
 const getItemsBySeller = async (req, res, next) => {
   try {
     const { sellerId } = req.params;
-    const { isActive, itemType, page = 1, limit = 20 } = req.query;
+    const { isActive, itemType, category } = req.query;
 
     // Build filter object
     const filter = { seller: sellerId };
@@ -209,28 +252,27 @@ const getItemsBySeller = async (req, res, next) => {
       filter.itemType = itemType;
     }
 
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    // Execute query
-    const items = await Item.find(filter)
-      .populate("seller", "firstName lastName username email contactNo address")
-      .sort({ catchDate: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+    // A category includes its subcategories
+    if (category) {
+      filter.categoryPath = {
+        $in: await categoryService.idsForSlugs([].concat(category)),
+      };
+    }
 
-    // Get total count
-    const totalItems = await Item.countDocuments(filter);
+    // Execute query (page or cursor mode)
+    const { items, pagination } = await paginationService.paginate(
+      Item.find(filter).populate(
+        "seller",
+        "firstName lastName username email contactNo address"
+      ),
+      paginationService.parse(req.query),
+      { catchDate: -1 }
+    );
 
     res.status(StatusCodes.OK).json({
       success: true,
       data: items,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(totalItems / parseInt(limit)),
-        totalItems,
-        itemsPerPage: parseInt(limit),
-      },
+      pagination,
     });
   } catch (error) {
     next(error);
@@ -263,44 +305,85 @@ const getItemById = async (req, res, next) => {
 };
 
 /**
- * Update item (only by owner)
+ * Update item (owner, or any item with item:update:any)
  */
 const updateItem = async (req, res, next) => {
   try {
-    const { itemId } = req.params;
     const updateData = { ...req.body };
 
-    // Find the item
-    const item = await Item.findById(itemId);
+    // The gallery is managed through the /images routes
+    delete updateData.images;
+    delete updateData.image;
+    delete updateData.imagePublicId;
 
-    if (!item) {
-      return next(new NotFoundError("Item not found"));
+    // The species follows the name
+    delete updateData.speciesKey;
+    if (updateData.itemName) {
+      updateData.speciesKey = await speciesService.resolveSpeciesKey(
+        updateData.itemName
+      );
     }
 
-    // Check if user is the owner
-    if (item.seller.toString() !== req.user.id) {
-      return next(new UnauthorizedError("You can only update your own items"));
+    // Category fields are derived from the category (or legacy itemType) slug
+    delete updateData.category;
+    delete updateData.categoryPath;
+    delete updateData.itemType;
+    if (req.body.category || req.body.itemType) {
+      Object.assign(
+        updateData,
+        await categoryService.classify(req.body.category || req.body.itemType)
+      );
     }
 
-    // Handle image update if new image is uploaded
-    if (req.file) {
-      // Delete old image from Cloudinary if it exists
-      if (item.imagePublicId) {
-        try {
-          await deleteFromCloudinary(item.imagePublicId);
-        } catch (error) {
-          console.error("Error deleting old image:", error);
-          // Continue with update even if deletion fails
-        }
-      }
+    // Expiry is tracked by the shelf-life sweep and restarts with a new
+    // catch date
+    delete updateData.expiredAt;
+    delete updateData.expiryWarnedAt;
+    if (updateData.catchDate) {
+      updateData.expiredAt = null;
+      updateData.expiryWarnedAt = null;
+    }
 
-      // Upload new image to Cloudinary
-      const cloudinaryResult = await uploadToCloudinary(
-        req.file,
-        "coast2cart/items"
+    // Coordinates arrive as latitude/longitude, never as raw GeoJSON
+    delete updateData.geoLocation;
+    delete updateData.latitude;
+    delete updateData.longitude;
+    if (req.body.latitude !== undefined && req.body.longitude !== undefined) {
+      updateData.geoLocation = toGeoPoint(
+        req.body.latitude,
+        req.body.longitude
       );
-      updateData.image = cloudinaryResult.secure_url;
-      updateData.imagePublicId = cloudinaryResult.public_id;
+    }
+
+    // Loaded and ownership-checked by requirePermission
+    const item = req.resource;
+    let replacedCover = null;
+
+    // Expired listings come back with a new catch date, so the sweep can
+    // expire them again
+    const relisting =
+      !item.isActive &&
+      mongoose.Schema.Types.Boolean.convertToTrue.has(updateData.isActive);
+    if (relisting && item.expiredAt && !updateData.catchDate) {
+      return next(
+        new BadRequestError(
+          "This listing is past its shelf life. Send a new catch date to relist it."
+        )
+      );
+    }
+
+    // A new `image` replaces the cover image (legacy single-image update)
+    if (req.file) {
+      checkImageFiles([req.file]);
+      const [cover] = await uploadImages([req.file]);
+
+      replacedCover = item.images[0];
+      updateData.images = [
+        cover,
+        ...item.images.slice(1).map((image) => image.toObject()),
+      ];
+      updateData.image = cover.url;
+      updateData.imagePublicId = cover.publicId;
     }
 
     // Convert string numbers to actual numbers
@@ -311,15 +394,30 @@ const updateItem = async (req, res, next) => {
       updateData.quantity = parseFloat(updateData.quantity);
     }
 
-    // Update the item
-    const updatedItem = await Item.findByIdAndUpdate(itemId, updateData, {
-      new: true,
-      runValidators: true,
-    }).populate(
+    // Update the item. Saved rather than updated in place so listings with
+    // variants re-mirror their price, unit and quantity. Variants sent with
+    // an _id keep it (and the cart entries pointing at them).
+    item.set(updateData);
+    try {
+      await item.save();
+    } catch (saveError) {
+      // e.g. new order limits that clash with the listing's stored unit
+      if (saveError instanceof mongoose.Error.ValidationError) {
+        throw new BadRequestError(Object.values(saveError.errors)[0].message);
+      }
+      throw saveError;
+    }
+
+    const updatedItem = await item.populate(
       "seller",
       "firstName lastName username email contactNo address"
     );
 
+    // Delete the old cover only once the new one is saved
+    if (replacedCover) {
+      await deleteImages([replacedCover]);
+    }
+
     res.status(StatusCodes.OK).json({
       success: true,
       message: "Item updated successfully",
@@ -331,32 +429,15 @@ const updateItem = async (req, res, next) => {
 };
 
 /**
- * Delete item (only by owner)
+ * Delete item (owner, or any item with item:delete:any)
  */
 const deleteItem = async (req, res, next) => {
   try {
-    const { itemId } = req.params;
-
-    const item = await Item.findById(itemId);
+    // Loaded and ownership-checked by requirePermission
+    const item = req.resource;
 
-    if (!item) {
-      return next(new NotFoundError("Item not found"));
-    }
-
-    // Check if user is the owner
-    if (item.seller.toString() !== req.user.id) {
-      return next(new UnauthorizedError("You can only delete your own items"));
-    }
-
-    // Delete image from Cloudinary if it exists
-    if (item.imagePublicId) {
-      try {
-        await deleteFromCloudinary(item.imagePublicId);
-      } catch (error) {
-        console.error("Error deleting image from Cloudinary:", error);
-        // Continue with deletion even if image deletion fails
-      }
-    }
+    // Delete gallery images from Cloudinary (failures do not stop deletion)
+    await deleteImages(item.images);
 
     // Soft delete by setting isActive to false
     item.isActive = false;
@@ -372,35 +453,191 @@ const deleteItem = async (req, res, next) => {
 };
 
 /**
- * Sell an item (mark as sold and create sold item record)
+ * Respond with an item's gallery after a change
  */
-const sellItem = async (req, res, next) => {
+const sendGallery = (res, item, message) => {
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message,
+    data: {
+      images: item.images,
+      image: item.image,
+      imagePublicId: item.imagePublicId,
+    },
+  });
+};
+
+/**
+ * Add images to an item's gallery (appended after the existing ones)
+ */
+const addItemImages = async (req, res, next) => {
   try {
-    const { itemId } = req.params;
-    const { quantitySold, buyerId, notes } = req.body;
+    const item = req.resource;
+    const files = req.files || [];
 
-    // Find the item
-    const item = await Item.findById(itemId);
+    if (files.length === 0) {
+      return next(new BadRequestError("At least one image is required"));
+    }
 
-    if (!item) {
-      return next(new NotFoundError("Item not found"));
+    if (item.images.length + files.length > Item.MAX_IMAGES) {
+      return next(
+        new BadRequestError(
+          `An item can have at most ${Item.MAX_IMAGES} images (it has ${item.images.length})`
+        )
+      );
     }
 
-    // Check if user is the owner
-    if (item.seller.toString() !== req.user.id) {
-      return next(new UnauthorizedError("You can only sell your own items"));
+    checkImageFiles(files);
+    const images = await uploadImages(files);
+
+    item.images.push(...images);
+
+    try {
+      await item.save();
+    } catch (saveError) {
+      await deleteImages(images);
+      throw saveError;
     }
 
+    sendGallery(res, item, "Images added successfully");
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove one image from an item's gallery and from Cloudinary
+ */
+const removeItemImage = async (req, res, next) => {
+  try {
+    const item = req.resource;
+    const image = item.images.id(req.params.imageId);
+
+    if (!image) {
+      return next(new NotFoundError("Image not found"));
+    }
+
+    if (item.images.length === 1) {
+      return next(
+        new BadRequestError(
+          "An item must have at least one image. Upload another image before removing this one."
+        )
+      );
+    }
+
+    image.deleteOne();
+    await item.save();
+    await deleteImages([image]);
+
+    sendGallery(res, item, "Image removed successfully");
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reorder an item's gallery; `imageIds` lists every image in the new order
+ */
+const reorderItemImages = async (req, res, next) => {
+  try {
+    const item = req.resource;
+    const { imageIds } = req.body;
+
+    const currentIds = item.images.map((image) => image._id.toString());
+    const isPermutation =
+      imageIds.length === currentIds.length &&
+      new Set(imageIds).size === imageIds.length &&
+      imageIds.every((id) => currentIds.includes(id));
+
+    if (!isPermutation) {
+      return next(
+        new BadRequestError("imageIds must list every image of the item once")
+      );
+    }
+
+    item.images = imageIds.map((id) => item.images.id(id).toObject());
+    await item.save();
+
+    sendGallery(res, item, "Images reordered successfully");
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Make an image the cover (moves it to the front of the gallery)
+ */
+const setCoverImage = async (req, res, next) => {
+  try {
+    const item = req.resource;
+    const image = item.images.id(req.params.imageId);
+
+    if (!image) {
+      return next(new NotFoundError("Image not found"));
+    }
+
+    item.images = [
+      image.toObject(),
+      ...item.images
+        .filter((other) => !other._id.equals(image._id))
+        .map((other) => other.toObject()),
+    ];
+    await item.save();
+
+    sendGallery(res, item, "Cover image updated successfully");
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sell an item (mark as sold and create sold item record)
+ */
+const sellItem = async (req, res, next) => {
+  try {
+    const { quantitySold, unit, variantId, buyerId, notes } = req.body;
+
+    // Loaded and ownership-checked by requirePermission
+    const item = req.resource;
+
     // Check if item is active
     if (!item.isActive) {
       return next(new BadRequestError("Cannot sell inactive item"));
     }
 
+    // Items sold in variants are sold one variant at a time
+    const offer = item.findOffer(variantId);
+    if (!offer) {
+      return next(
+        new BadRequestError(
+          item.variants.length > 0
+            ? "Please choose one of this item's variants"
+            : "This item has no variants"
+        )
+      );
+    }
+
+    // The sale is recorded in the listing's unit whatever unit was given
+    const quantity = unitService.convert(
+      parseFloat(quantitySold),
+      unit || offer.unit,
+      offer.unit
+    );
+    if (quantity <= 0) {
+      return next(new BadRequestError("Quantity sold is too small"));
+    }
+
     // Check if sufficient quantity is available
-    if (parseFloat(quantitySold) > item.quantity) {
+    if (quantity > offer.quantity) {
       return next(new BadRequestError("Insufficient quantity available"));
     }
 
+    // Check the listing's minimum, maximum and step
+    const orderError = Item.orderQuantityError(offer, quantity);
+    if (orderError) {
+      return next(new BadRequestError(orderError));
+    }
+
     // Verify buyer exists
     const buyer = await Account.findById(buyerId);
     if (!buyer) {
@@ -408,7 +645,7 @@ const sellItem = async (req, res, next) => {
     }
 
     // Calculate total amount
-    const totalAmount = item.itemPrice * parseFloat(quantitySold);
+    const totalAmount = offer.itemPrice * quantity;
 
     // Create sold item record
     const soldItem = new SoldItem({
@@ -416,10 +653,13 @@ const sellItem = async (req, res, next) => {
       seller: item.seller,
       buyer: buyerId,
       itemType: item.itemType,
+      category: item.category,
+      variant: offer === item ? null : offer._id,
+      variantLabel: offer === item ? undefined : offer.label,
       itemName: item.itemName,
-      itemPrice: item.itemPrice,
-      quantitySold: parseFloat(quantitySold),
-      unit: item.unit,
+      itemPrice: offer.itemPrice,
+      quantitySold: quantity,
+      unit: offer.unit,
       totalAmount,
       image: item.image,
       imagePublicId: item.imagePublicId,
@@ -428,11 +668,11 @@ const sellItem = async (req, res, next) => {
 
     await soldItem.save();
 
-    // Update item quantity
-    item.quantity -= parseFloat(quantitySold);
+    // Update item (or variant) quantity
+    offer.quantity -= quantity;
 
-    // If quantity becomes 0, mark as inactive
-    if (item.quantity <= 0) {
+    // Once nothing is left in any variant, mark as inactive
+    if (!item.inStock) {
       item.isActive = false;
     }
 
@@ -466,7 +706,7 @@ const sellItem = async (req, res, next) => {
 const getSoldItemsBySeller = async (req, res, next) => {
   try {
     const { sellerId } = req.params;
-    const { itemType, page = 1, limit = 20 } = req.query;
+    const { itemType } = req.query;
 
     // Build filter object
     const filter = { seller: sellerId };
@@ -475,28 +715,20 @@ const getSoldItemsBySeller = async (req, res, next) => {
       filter.itemType = itemType;
     }
 
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    // Execute query
-    const soldItems = await SoldItem.find(filter)
-      .populate("buyer", "firstName lastName username email contactNo address")
-      .sort({ saleDate: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    // Get total count
-    const totalItems = await SoldItem.countDocuments(filter);
+    // Execute query (page or cursor mode)
+    const { items: soldItems, pagination } = await paginationService.paginate(
+      SoldItem.find(filter).populate(
+        "buyer",
+        "firstName lastName username email contactNo address"
+      ),
+      paginationService.parse(req.query),
+      { saleDate: -1 }
+    );
 
     res.status(StatusCodes.OK).json({
       success: true,
       data: soldItems,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(totalItems / parseInt(limit)),
-        totalItems,
-        itemsPerPage: parseInt(limit),
-      },
+      pagination,
     });
   } catch (error) {
     next(error);
@@ -509,7 +741,7 @@ const getSoldItemsBySeller = async (req, res, next) => {
 const getSoldItemsByBuyer = async (req, res, next) => {
   try {
     const { buyerId } = req.params;
-    const { itemType, page = 1, limit = 20 } = req.query;
+    const { itemType } = req.query;
 
     // Build filter object
     const filter = { buyer: buyerId };
@@ -518,28 +750,20 @@ const getSoldItemsByBuyer = async (req, res, next) => {
       filter.itemType = itemType;
     }
 
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    // Execute query
-    const soldItems = await SoldItem.find(filter)
-      .populate("seller", "firstName lastName username email contactNo address")
-      .sort({ saleDate: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    // Get total count
-    const totalItems = await SoldItem.countDocuments(filter);
+    // Execute query (page or cursor mode)
+    const { items: soldItems, pagination } = await paginationService.paginate(
+      SoldItem.find(filter).populate(
+        "seller",
+        "firstName lastName username email contactNo address"
+      ),
+      paginationService.parse(req.query),
+      { saleDate: -1 }
+    );
 
     res.status(StatusCodes.OK).json({
       success: true,
       data: soldItems,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(totalItems / parseInt(limit)),
-        totalItems,
-        itemsPerPage: parseInt(limit),
-      },
+      pagination,
     });
   } catch (error) {
     next(error);
@@ -549,11 +773,16 @@ const getSoldItemsByBuyer = async (req, res, next) => {
 module.exports = {
   createItem,
   getAllItems,
+  getCategoryTree,
   getItemsBySeller,
   getItemById,
   updateItem,
   deleteItem,
   sellItem,
+  addItemImages,
+  removeItemImage,
+  reorderItemImages,
+  setCoverImage,
   getSoldItemsBySeller,
   getSoldItemsByBuyer,
 };
@@ -0,0 +1,248 @@
+const Account = require("../models/Accounts");
+const {
+  BadRequestError,
+  UnauthenticatedError,
+  NotFoundError,
+} = require("../errors");
+const asyncErrorHandler = require("../middleware/asyncErrorHandler");
+const otpService = require("../services/otpService");
+const twoFactorService = require("../services/twoFactorService");
+const securityPolicyService = require("../services/securityPolicyService");
+const auditService = require("../services/auditService");
+const loginThrottleService = require("../services/loginThrottleService");
+
+/**
+ * Load the caller's full account document (req.user omits password and otp)
+ */
+const findAccount = async (req) => {
+  const account = await Account.findById(req.user._id);
+
+  if (!account) {
+    throw new NotFoundError("Account not found");
+  }
+
+  return account;
+};
+
+/**
+ * Check a second factor for a sensitive 2FA change. Guesses share the login
+ * lockout, and failures are throttled and audited like bad passwords.
+ */
+const verifySecondFactor = async (req, account, action, factor) => {
+  const identifier = account.username;
+
+  await loginThrottleService.assertCanAttempt({
+    identifier,
+    account,
+    ip: req.ip,
+  });
+
+  try {
+    await twoFactorService.verifySecondFactor(account, factor);
+  } catch (error) {
+    await loginThrottleService.record({
+      identifier,
+      account,
+      req,
+      success: false,
+      reason: "bad-second-factor",
+    });
+    await auditService.record(req, {
+      action,
+      outcome: "failure",
+      reason: "bad-second-factor",
+    });
+    throw error;
+  }
+};
+
+/**
+ * Get Two-Factor Status
+ */
+const getTwoFactorStatus = asyncErrorHandler(async (req, res) => {
+  const { twoFactor, role } = req.user;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      enabled: twoFactor.enabled,
+      method: twoFactor.method,
+      enabledAt: twoFactor.enabledAt,
+      recoveryCodesRemaining: twoFactor.enabled
+        ? twoFactor.recoveryCodes.length
+        : 0,
+      required: await securityPolicyService.requiresTwoFactor(role),
+    },
+  });
+});
+
+/**
+ * Start Authenticator Setup - returns a secret to add to an authenticator app
+ */
+const startTotpSetup = asyncErrorHandler(async (req, res) => {
+  const account = await findAccount(req);
+
+  const setup = await twoFactorService.startTotpSetup(account);
+
+  res.status(200).json({
+    success: true,
+    message:
+      "Add this secret to your authenticator app, then confirm with a code from the app",
+    data: setup,
+  });
+});
+
+/**
+ * Enable Authenticator 2FA - confirm setup with a code from the app
+ */
+const enableTotp = asyncErrorHandler(async (req, res) => {
+  const account = await findAccount(req);
+
+  const recoveryCodes = await twoFactorService.enableTotp(
+    account,
+    req.body.code
+  );
+  await auditService.record(req, {
+    action: "two-factor.enable",
+    metadata: { method: "totp" },
+  });
+
+  res.status(200).json({
+    success: true,
+    message:
+      "Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.",
+    data: { recoveryCodes },
+  });
+});
+
+/**
+ * Send SMS Code - to enable SMS 2FA, or to confirm disabling 2FA or
+ * regenerating recovery codes when SMS is the active method
+ */
+const sendSmsCode = asyncErrorHandler(async (req, res) => {
+  const account = await findAccount(req);
+
+  if (account.twoFactor.enabled && account.twoFactor.method !== "sms") {
+    throw new BadRequestError(
+      "Your account uses an authenticator app. Use a code from the app instead."
+    );
+  }
+
+  const smsResult = await otpService.issue(account, "two-factor", {
+    ip: req.ip,
+  });
+  await auditService.record(req, {
+    action: "otp.send",
+    outcome: smsResult.success ? "success" : "failure",
+    reason: smsResult.success ? undefined : "sms-failed",
+    metadata: { purpose: "two-factor" },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Verification code sent successfully",
+    smsSent: smsResult.success,
+  });
+});
+
+/**
+ * Enable SMS 2FA - confirm with the code sent to the account's number
+ */
+const enableSms = asyncErrorHandler(async (req, res) => {
+  const account = await findAccount(req);
+
+  const recoveryCodes = await twoFactorService.enableSms(
+    account,
+    req.body.code
+  );
+  await auditService.record(req, {
+    action: "two-factor.enable",
+    metadata: { method: "sms" },
+  });
+
+  res.status(200).json({
+    success: true,
+    message:
+      "Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.",
+    data: { recoveryCodes },
+  });
+});
+
+/**
+ * Disable 2FA - requires the password and a second factor
+ */
+const disableTwoFactor = asyncErrorHandler(async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  const account = await findAccount(req);
+
+  if (!account.twoFactor.enabled) {
+    throw new BadRequestError("Two-factor authentication is not enabled");
+  }
+
+  if (await securityPolicyService.requiresTwoFactor(account.role)) {
+    throw new BadRequestError(
+      "Two-factor authentication is required for your account and cannot be disabled"
+    );
+  }
+
+  const isPasswordCorrect = await account.comparePassword(password);
+
+  if (!isPasswordCorrect) {
+    await auditService.record(req, {
+      action: "two-factor.disable",
+      outcome: "failure",
+      reason: "bad-password",
+    });
+    throw new UnauthenticatedError("Password is incorrect");
+  }
+
+  await verifySecondFactor(req, account, "two-factor.disable", {
+    code,
+    recoveryCode,
+  });
+  await twoFactorService.disable(account);
+  await auditService.record(req, { action: "two-factor.disable" });
+
+  res.status(200).json({
+    success: true,
+    message: "Two-factor authentication disabled",
+  });
+});
+
+/**
+ * Regenerate Recovery Codes - requires a second factor
+ */
+const regenerateRecoveryCodes = asyncErrorHandler(async (req, res) => {
+  const { code, recoveryCode } = req.body;
+
+  const account = await findAccount(req);
+
+  if (!account.twoFactor.enabled) {
+    throw new BadRequestError("Two-factor authentication is not enabled");
+  }
+
+  await verifySecondFactor(req, account, "two-factor.recovery-codes", {
+    code,
+    recoveryCode,
+  });
+  const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(account);
+  await auditService.record(req, { action: "two-factor.recovery-codes" });
+
+  res.status(200).json({
+    success: true,
+    message:
+      "New recovery codes generated. Your previous codes no longer work.",
+    data: { recoveryCodes },
+  });
+});
+
+module.exports = {
+  getTwoFactorStatus,
+  startTotpSetup,
+  enableTotp,
+  sendSmsCode,
+  enableSms,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+};
@@ -2,9 +2,10 @@ const { StatusCodes } = require("http-status-codes");
 const CustomAPIError = require("./custom-api");
 
 class TooManyRequestsError extends CustomAPIError {
-  constructor(message) {
+  constructor(message, retryAfter) {
     super(message);
     this.statusCode = StatusCodes.TOO_MANY_REQUESTS;
+    this.retryAfter = retryAfter; // seconds, sent as the Retry-After header
   }
 }
 
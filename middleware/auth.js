@@ -1,75 +1,245 @@
 const jwt = require("jsonwebtoken");
 const Account = require("../models/Accounts");
-const { UnauthenticatedError } = require("../errors");
+const RefreshToken = require("../models/RefreshToken");
+const { UnauthenticatedError, UnauthorizedError } = require("../errors");
+const securityPolicyService = require("../services/securityPolicyService");
+const auditService = require("../services/auditService");
 
 /**
- * Middleware to authenticate JWT token
+ * Build JWT authentication middleware.
+ * With `allowTwoFactorSetup`, accounts whose role requires two-factor
+ * authentication may pass before enabling it (used by the 2FA setup routes).
  */
-const authenticateToken = async (req, res, next) => {
-  try {
+const authenticate =
+  ({ allowTwoFactorSetup = false } = {}) =>
+  async (req, res, next) => {
     const authHeader = req.headers.authorization;
     const token = authHeader && authHeader.split(" ")[1]; // Bearer TOKEN
+    let decoded;
 
-    if (!token) {
-      throw new UnauthenticatedError("Access token required");
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    try {
+      if (!token) {
+        throw new UnauthenticatedError("Access token required");
+      }
 
-    // Find user and attach to request
-    const user = await Account.findById(decoded.userId).select(
-      "-password -otp"
-    );
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-    if (!user) {
-      throw new UnauthenticatedError("User not found");
-    }
+      // Purpose-scoped tokens (e.g. password reset) are not access tokens
+      if (decoded.purpose) {
+        throw new UnauthenticatedError("Invalid token");
+      }
 
-    if (!user.isVerified) {
-      throw new UnauthenticatedError(
-        "Account not verified. Please verify your account first."
+      // Find user and attach to request
+      const user = await Account.findById(decoded.userId).select(
+        "-password -otp"
       );
-    }
 
-    req.user = user;
-    next();
-  } catch (error) {
-    if (error.name === "JsonWebTokenError") {
-      return next(new UnauthenticatedError("Invalid token"));
-    }
-    if (error.name === "TokenExpiredError") {
-      return next(new UnauthenticatedError("Token expired"));
+      if (!user || user.deletedAt) {
+        throw new UnauthenticatedError("User not found");
+      }
+
+      if (!user.isVerified) {
+        throw new UnauthenticatedError(
+          "Account not verified. Please verify your account first."
+        );
+      }
+
+      if (user.isSuspended) {
+        throw new UnauthorizedError(
+          "Account is suspended. Please contact support."
+        );
+      }
+
+      if (user.changedPasswordAfter(decoded.iat)) {
+        throw new UnauthenticatedError(
+          "Password was changed recently. Please log in again."
+        );
+      }
+
+      // Superseded by a logout-all or a security change on the account
+      if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+        throw new UnauthenticatedError("Token has been revoked");
+      }
+
+      // The session this token was issued for has been logged out
+      if (decoded.sid) {
+        const sessionActive = await RefreshToken.exists({
+          family: decoded.sid,
+          revokedAt: null,
+        });
+
+        if (!sessionActive) {
+          throw new UnauthenticatedError(
+            "Session has ended. Please log in again."
+          );
+        }
+      }
+
+      if (
+        !allowTwoFactorSetup &&
+        !user.twoFactor.enabled &&
+        (await securityPolicyService.requiresTwoFactor(user.role))
+      ) {
+        throw new UnauthorizedError(
+          "Two-factor authentication is required for your account. Please set it up first."
+        );
+      }
+
+      req.user = user;
+      req.sessionId = decoded.sid;
+      next();
+    } catch (error) {
+      // Routine: clients refresh expired access tokens
+      if (error.name === "TokenExpiredError") {
+        return next(new UnauthenticatedError("Token expired"));
+      }
+
+      const rejection =
+        error.name === "JsonWebTokenError"
+          ? new UnauthenticatedError("Invalid token")
+          : error;
+
+      // Audit tokens that were presented but refused (forged, revoked,
+      // suspended account...), not missing tokens or server errors
+      if (token && rejection.statusCode) {
+        await auditService.record(req, {
+          action: "token.rejected",
+          outcome: "failure",
+          actor: decoded ? decoded.userId : undefined,
+          reason: rejection.message,
+        });
+      }
+
+      next(rejection);
     }
-    next(error);
-  }
+  };
+
+/**
+ * Middleware to authenticate JWT token
+ */
+const authenticateToken = authenticate();
+
+/**
+ * Same as authenticateToken, but lets through accounts that still have to
+ * set up required two-factor authentication
+ */
+const authenticateForTwoFactorSetup = authenticate({
+  allowTwoFactorSetup: true,
+});
+
+/**
+ * Generate a short-lived JWT access token
+ */
+const generateToken = (userId, { tokenVersion = 0, sessionId } = {}) => {
+  return jwt.sign(
+    { userId, tv: tokenVersion, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || "15m" }
+  );
 };
 
 /**
- * Middleware to check if user has specific role
+ * Generate a short-lived token that only allows setting a new password.
+ * It carries the current passwordChangedAt so it stops working once used.
  */
-const authorizeRoles = (...roles) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return next(new UnauthenticatedError("Authentication required"));
-    }
+const generatePasswordResetToken = (account) => {
+  return jwt.sign(
+    {
+      userId: account._id,
+      purpose: "password-reset",
+      pwdChangedAt: account.passwordChangedAt
+        ? account.passwordChangedAt.getTime()
+        : 0,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: "10m" }
+  );
+};
 
-    if (!roles.includes(req.user.role)) {
-      return next(new UnauthenticatedError("Insufficient permissions"));
-    }
+/**
+ * Verify a password reset token and return the account it belongs to
+ */
+const verifyPasswordResetToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new UnauthenticatedError("Invalid or expired reset token");
+  }
 
-    next();
-  };
+  if (decoded.purpose !== "password-reset") {
+    throw new UnauthenticatedError("Invalid or expired reset token");
+  }
+
+  const account = await Account.findById(decoded.userId);
+  const pwdChangedAt =
+    account && account.passwordChangedAt
+      ? account.passwordChangedAt.getTime()
+      : 0;
+
+  if (!account || pwdChangedAt !== decoded.pwdChangedAt) {
+    throw new UnauthenticatedError("Invalid or expired reset token");
+  }
+
+  return account;
 };
 
 /**
- * Generate JWT token
+ * Generate a short-lived token proving the first login factor passed.
+ * It can only be exchanged for a session at /api/auth/2fa/verify.
  */
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: "7d" });
+const generateTwoFactorChallengeToken = (account) => {
+  return jwt.sign(
+    {
+      userId: account._id,
+      purpose: "two-factor-challenge",
+      tv: account.tokenVersion || 0,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: "5m" }
+  );
+};
+
+/**
+ * Verify a two-factor challenge token and return the account it belongs to
+ */
+const verifyTwoFactorChallengeToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new UnauthenticatedError(
+      "Invalid or expired login challenge. Please log in again."
+    );
+  }
+
+  if (decoded.purpose !== "two-factor-challenge") {
+    throw new UnauthenticatedError(
+      "Invalid or expired login challenge. Please log in again."
+    );
+  }
+
+  const account = await Account.findById(decoded.userId);
+
+  if (
+    !account ||
+    account.deletedAt ||
+    (account.tokenVersion || 0) !== decoded.tv
+  ) {
+    throw new UnauthenticatedError(
+      "Invalid or expired login challenge. Please log in again."
+    );
+  }
+
+  return account;
 };
 
 module.exports = {
   authenticateToken,
-  authorizeRoles,
+  authenticateForTwoFactorSetup,
   generateToken,
+  generatePasswordResetToken,
+  verifyPasswordResetToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
 };
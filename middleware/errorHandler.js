@@ -1,10 +1,17 @@
 const errorHandler = (err, req, res, next) => {
   console.error(err.stack);
 
-  res.status(err.statusCode || 500).json({
+  const body = {
     success: false,
     message: err.message || "Internal Server Error",
-  });
+  };
+
+  if (err.retryAfter) {
+    res.set("Retry-After", String(err.retryAfter));
+    body.retryAfter = err.retryAfter;
+  }
+
+  res.status(err.statusCode || 500).json(body);
 };
 
 module.exports = errorHandler;
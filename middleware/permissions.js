@@ -0,0 +1,81 @@
+const Item = require("../models/Item");
+const { scopeFor } = require("../config/permissions");
+const {
+  UnauthenticatedError,
+  UnauthorizedError,
+  NotFoundError,
+} = require("../errors");
+
+/**
+ * How to find the owner of the resource a route acts on. `load` fetches the
+ * resource (attached as req.resource so controllers do not load it again);
+ * `ownerId` returns the id of the account that owns it.
+ */
+const ownership = {
+  item: {
+    label: "items",
+    load: (req) => Item.findById(req.params.itemId),
+    notFoundMessage: "Item not found",
+    ownerId: (req) => req.resource.seller,
+  },
+  sellerOrders: {
+    label: "orders",
+    ownerId: (req) => req.params.sellerId,
+  },
+  buyerOrders: {
+    label: "orders",
+    ownerId: (req) => req.params.buyerId,
+  },
+};
+
+/**
+ * Middleware requiring a permission such as "item:update" (see
+ * config/permissions). Roles with the "any" scope always pass; roles with
+ * only "own" pass when the user owns the resource described by `owned`.
+ * @param {string} permission - "resource:action"
+ * @param {Object} owned - Entry from `ownership` (omit for resource-less actions)
+ */
+const requirePermission = (permission, owned) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        throw new UnauthenticatedError("Authentication required");
+      }
+
+      const scope = scopeFor(req.user.role, permission);
+
+      if (!scope) {
+        throw new UnauthorizedError("Insufficient permissions");
+      }
+
+      if (owned && owned.load) {
+        req.resource = await owned.load(req);
+
+        if (!req.resource) {
+          throw new NotFoundError(owned.notFoundMessage);
+        }
+      }
+
+      if (scope === "own" && owned) {
+        const ownerId = owned.ownerId(req);
+
+        if (!ownerId || ownerId.toString() !== req.user._id.toString()) {
+          const action = permission.split(":")[1];
+          throw new UnauthorizedError(
+            `You can only ${action} your own ${owned.label}`
+          );
+        }
+      }
+
+      req.permissionScope = scope;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  ownership,
+  requirePermission,
+};
@@ -1,5 +1,6 @@
 const multer = require("multer");
 const path = require("path");
+const { BadRequestError, PayloadTooLargeError } = require("../errors");
 
 // Configure storage - using memory storage for Cloudinary uploads
 const storage = multer.memoryStorage();
@@ -23,13 +24,49 @@ const upload = multer({
   fileFilter: fileFilter,
 });
 
+/**
+ * Turn multer errors (too many files, file too large...) into client errors
+ */
+const handleUploadErrors = (middleware) => (req, res, next) => {
+  middleware(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      if (error.code === "LIMIT_FILE_SIZE") {
+        return next(
+          new PayloadTooLargeError("Image file size must be less than 10MB")
+        );
+      }
+      if (error.code === "LIMIT_UNEXPECTED_FILE") {
+        return next(
+          new BadRequestError(
+            `Too many images or unexpected field "${error.field}". An item can have at most 5 images.`
+          )
+        );
+      }
+      return next(new BadRequestError(error.message));
+    }
+    if (error) {
+      return next(new BadRequestError(error.message));
+    }
+    next();
+  });
+};
+
 // Middleware for single image upload
-const uploadSingle = upload.single("image");
+const uploadSingle = handleUploadErrors(upload.single("image"));
+
+// Middleware for multiple images upload
+const uploadMultiple = handleUploadErrors(upload.array("images", 5)); // Max 5 images
 
-// Middleware for multiple images upload (for future use)
-const uploadMultiple = upload.array("images", 5); // Max 5 images
+// Middleware for item creation: a legacy `image` and/or up to 5 `images`
+const uploadItemImages = handleUploadErrors(
+  upload.fields([
+    { name: "image", maxCount: 1 },
+    { name: "images", maxCount: 5 },
+  ])
+);
 
 module.exports = {
   uploadSingle,
   uploadMultiple,
+  uploadItemImages,
 };
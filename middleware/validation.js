@@ -1,6 +1,11 @@
 const { body, validationResult } = require("express-validator");
 const Account = require("../models/Accounts");
 const { BadRequestError } = require("../errors");
+const { ROLES } = require("../config/permissions");
+const { UNIT_NAMES } = require("../config/units");
+
+// Lowercase words joined by dashes, e.g. "dried-fish"
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
 
 /**
  * Handle validation errors
@@ -128,7 +133,14 @@ const checkUsernameUnique = async (req, res, next) => {
 const checkEmailUnique = async (req, res, next) => {
   try {
     const { email } = req.body;
-    const existingUser = await Account.findOne({ email: email.toLowerCase() });
+    const filter = { email: email.toLowerCase() };
+
+    // When editing a profile the caller's own account is not a conflict
+    if (req.user) {
+      filter._id = { $ne: req.user._id };
+    }
+
+    const existingUser = await Account.findOne(filter);
 
     if (existingUser) {
       return next(new BadRequestError("Email already exists"));
@@ -146,7 +158,14 @@ const checkEmailUnique = async (req, res, next) => {
 const checkContactUnique = async (req, res, next) => {
   try {
     const { contactNo } = req.body;
-    const existingUser = await Account.findOne({ contactNo });
+    const filter = { contactNo };
+
+    // When editing a profile the caller's own account is not a conflict
+    if (req.user) {
+      filter._id = { $ne: req.user._id };
+    }
+
+    const existingUser = await Account.findOne(filter);
 
     if (existingUser) {
       return next(new BadRequestError("Contact number already exists"));
@@ -187,12 +206,788 @@ const validateOTP = [
  * Validation rules for login
  */
 const validateLogin = [
+  body("method")
+    .optional()
+    .isIn(["password", "otp"])
+    .withMessage("Login method must be 'password' or 'otp'"),
+
+  // Password login
   body("identifier")
+    .if(body("method").not().equals("otp"))
     .trim()
     .notEmpty()
     .withMessage("Username, email, or contact number is required"),
 
-  body("password").notEmpty().withMessage("Password is required"),
+  body("password")
+    .if(body("method").not().equals("otp"))
+    .notEmpty()
+    .withMessage("Password is required"),
+
+  // Passwordless (SMS code) login
+  body("contactNo")
+    .if(body("method").equals("otp"))
+    .trim()
+    .notEmpty()
+    .withMessage("Contact number is required")
+    .matches(/^9\d{9}$/)
+    .withMessage(
+      "Please provide a valid Philippine phone number starting with 9 (e.g., 9123456789)"
+    ),
+
+  body("otp")
+    .if(body("method").equals("otp"))
+    .optional()
+    .trim()
+    .isLength({ min: 6, max: 6 })
+    .withMessage("OTP must be 6 digits")
+    .isNumeric()
+    .withMessage("OTP must contain only numbers"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for endpoints that take a refresh token
+ */
+const validateRefreshToken = [
+  body("refreshToken")
+    .trim()
+    .notEmpty()
+    .withMessage("Refresh token is required"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for requesting a password reset
+ */
+const validateForgotPassword = [
+  body("contactNo")
+    .trim()
+    .notEmpty()
+    .withMessage("Contact number is required")
+    .matches(/^9\d{9}$/)
+    .withMessage(
+      "Please provide a valid Philippine phone number starting with 9 (e.g., 9123456789)"
+    ),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for setting a new password with a reset token
+ */
+const validatePasswordReset = [
+  body("resetToken").notEmpty().withMessage("Reset token is required"),
+
+  body("password")
+    .isLength({ min: 8 })
+    .withMessage("Password must be at least 8 characters long")
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage(
+      "Password must contain at least one lowercase letter, one uppercase letter, and one number"
+    ),
+
+  body("confirmPassword").custom((value, { req }) => {
+    if (value !== req.body.password) {
+      throw new Error("Password confirmation does not match password");
+    }
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for updating profile details
+ */
+const validateProfileUpdate = [
+  body("firstName")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("First name must be between 2 and 50 characters"),
+
+  body("lastName")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("Last name must be between 2 and 50 characters"),
+
+  body("address")
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 200 })
+    .withMessage("Address must be between 10 and 200 characters"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for changing the password while logged in
+ */
+const validatePasswordChange = [
+  body("currentPassword")
+    .notEmpty()
+    .withMessage("Current password is required"),
+
+  body("password")
+    .isLength({ min: 8 })
+    .withMessage("Password must be at least 8 characters long")
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage(
+      "Password must contain at least one lowercase letter, one uppercase letter, and one number"
+    )
+    .custom((value, { req }) => {
+      if (value === req.body.currentPassword) {
+        throw new Error("New password must be different from the current one");
+      }
+      return true;
+    }),
+
+  body("confirmPassword").custom((value, { req }) => {
+    if (value !== req.body.password) {
+      throw new Error("Password confirmation does not match password");
+    }
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for changing the email address
+ */
+const validateEmailChange = [
+  body("email")
+    .isEmail()
+    .withMessage("Please provide a valid email")
+    .normalizeEmail(),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for requesting a contact number change
+ */
+const validateContactChange = [
+  body("contactNo")
+    .trim()
+    .notEmpty()
+    .withMessage("Contact number is required")
+    .matches(/^9\d{9}$/)
+    .withMessage(
+      "Please provide a valid Philippine phone number starting with 9 (e.g., 9123456789)"
+    ),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for confirming a contact number change
+ */
+const validateContactChangeOTP = [
+  body("otp")
+    .trim()
+    .notEmpty()
+    .withMessage("OTP is required")
+    .isLength({ min: 6, max: 6 })
+    .withMessage("OTP must be 6 digits")
+    .isNumeric()
+    .withMessage("OTP must contain only numbers"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for deleting the caller's account
+ */
+const validateAccountDeletion = [
+  body("password")
+    .notEmpty()
+    .withMessage("Password is required to delete your account"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Shared rules for latitude/longitude pairs, which must be sent together
+ */
+const coordinateRules = [
+  body("latitude")
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage("Latitude must be between -90 and 90")
+    .custom((value, { req }) => {
+      if (req.body.longitude === undefined) {
+        throw new Error("Latitude and longitude must be provided together");
+      }
+      return true;
+    }),
+
+  body("longitude")
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage("Longitude must be between -180 and 180")
+    .custom((value, { req }) => {
+      if (req.body.latitude === undefined) {
+        throw new Error("Latitude and longitude must be provided together");
+      }
+      return true;
+    }),
+];
+
+/**
+ * Throw if an order limit contradicts the other limits or the unit of the
+ * listing or variant it belongs to (the Item model checks the same)
+ */
+const checkOrderLimit = (limits, field, value) => {
+  if (limits.unit === "pieces" && !Number.isInteger(value)) {
+    throw new Error("Order limits for pieces must be whole numbers");
+  }
+  if (
+    field === "maxOrderQuantity" &&
+    limits.minOrderQuantity != null &&
+    parseFloat(limits.minOrderQuantity) > value
+  ) {
+    throw new Error("Maximum order quantity cannot be below the minimum");
+  }
+  return true;
+};
+
+/**
+ * Shared rules for item variants. Multipart forms send them as a JSON
+ * string, which is parsed here.
+ */
+const variantRules = [
+  body("variants")
+    .optional()
+    .customSanitizer((value) => {
+      if (typeof value !== "string") return value;
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return value;
+      }
+    })
+    .isArray({ max: 10 })
+    .withMessage("Variants must be a list of at most 10 variants")
+    .custom((variants) => {
+      const labels = variants
+        .filter((variant) => variant && typeof variant.label === "string")
+        .map((variant) => variant.label.trim().toLowerCase());
+      if (new Set(labels).size !== labels.length) {
+        throw new Error("Variant labels must be unique");
+      }
+      return true;
+    }),
+
+  body("variants.*._id")
+    .optional()
+    .isMongoId()
+    .withMessage("Variant ID must be valid"),
+
+  body("variants.*.label")
+    .trim()
+    .notEmpty()
+    .withMessage("Each variant needs a label")
+    .isLength({ max: 50 })
+    .withMessage("Variant label cannot exceed 50 characters"),
+
+  body("variants.*.itemPrice")
+    .isFloat({ min: 0.01 })
+    .withMessage("Variant price must be a positive number greater than 0")
+    .toFloat(),
+
+  body("variants.*.quantity")
+    .isFloat({ min: 0 })
+    .withMessage("Variant quantity must be a non-negative number")
+    .toFloat(),
+
+  body("variants.*.unit")
+    .isIn(UNIT_NAMES)
+    .withMessage(`Variant unit must be one of: ${UNIT_NAMES.join(", ")}`),
+
+  body([
+    "variants.*.minOrderQuantity",
+    "variants.*.maxOrderQuantity",
+    "variants.*.quantityStep",
+  ])
+    .optional()
+    .isFloat({ min: 0.001 })
+    .withMessage("Variant order limits must be at least 0.001")
+    .toFloat()
+    .custom((value, { req, path }) => {
+      const [, index, field] = path.match(/^variants\[(\d+)\]\.(\w+)$/);
+      return checkOrderLimit(req.body.variants[index], field, value);
+    }),
+];
+
+/**
+ * Shared rules for a listing's order limits (in its own unit)
+ */
+const orderLimitRules = [
+  body("minOrderQuantity")
+    .optional()
+    .isFloat({ min: 0.001 })
+    .withMessage("Minimum order quantity must be at least 0.001")
+    .toFloat()
+    .custom((value, { req }) =>
+      checkOrderLimit(req.body, "minOrderQuantity", value)
+    ),
+
+  body("maxOrderQuantity")
+    .optional()
+    .isFloat({ min: 0.001 })
+    .withMessage("Maximum order quantity must be at least 0.001")
+    .toFloat()
+    .custom((value, { req }) =>
+      checkOrderLimit(req.body, "maxOrderQuantity", value)
+    ),
+
+  body("quantityStep")
+    .optional()
+    .isFloat({ min: 0.001 })
+    .withMessage("Quantity step must be at least 0.001")
+    .toFloat()
+    .custom((value, { req }) =>
+      checkOrderLimit(req.body, "quantityStep", value)
+    ),
+];
+
+/**
+ * Validation rules for adding a saved address
+ */
+const validateAddressCreation = [
+  body("label")
+    .trim()
+    .notEmpty()
+    .withMessage("Address label is required (e.g., Home, Store)")
+    .isLength({ max: 30 })
+    .withMessage("Address label cannot exceed 30 characters"),
+
+  body("street")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Street cannot exceed 100 characters"),
+
+  body("barangay")
+    .trim()
+    .notEmpty()
+    .withMessage("Barangay is required")
+    .isLength({ max: 60 })
+    .withMessage("Barangay cannot exceed 60 characters"),
+
+  body("municipality")
+    .trim()
+    .notEmpty()
+    .withMessage("Municipality or city is required")
+    .isLength({ max: 60 })
+    .withMessage("Municipality cannot exceed 60 characters"),
+
+  body("province")
+    .trim()
+    .notEmpty()
+    .withMessage("Province is required")
+    .isLength({ max: 60 })
+    .withMessage("Province cannot exceed 60 characters"),
+
+  body("landmark")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Landmark cannot exceed 100 characters"),
+
+  ...coordinateRules,
+
+  body("isDefault")
+    .optional()
+    .isBoolean()
+    .withMessage("isDefault must be true or false")
+    .toBoolean(),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for updating a saved address
+ */
+const validateAddressUpdate = [
+  body("label")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Address label cannot be empty")
+    .isLength({ max: 30 })
+    .withMessage("Address label cannot exceed 30 characters"),
+
+  body("street")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Street cannot exceed 100 characters"),
+
+  body("barangay")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Barangay cannot be empty")
+    .isLength({ max: 60 })
+    .withMessage("Barangay cannot exceed 60 characters"),
+
+  body("municipality")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Municipality cannot be empty")
+    .isLength({ max: 60 })
+    .withMessage("Municipality cannot exceed 60 characters"),
+
+  body("province")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Province cannot be empty")
+    .isLength({ max: 60 })
+    .withMessage("Province cannot exceed 60 characters"),
+
+  body("landmark")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Landmark cannot exceed 100 characters"),
+
+  ...coordinateRules,
+
+  body("isDefault")
+    .optional()
+    .isBoolean()
+    .withMessage("isDefault must be true or false")
+    .toBoolean(),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for a seller application
+ */
+const validateSellerApplication = [
+  body("storeName")
+    .trim()
+    .notEmpty()
+    .withMessage("Store name is required")
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Store name must be between 2 and 100 characters"),
+
+  body("storeAddress")
+    .trim()
+    .notEmpty()
+    .withMessage("Store address is required")
+    .isLength({ min: 10, max: 200 })
+    .withMessage("Store address must be between 10 and 200 characters"),
+
+  body("storeDescription")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Store description cannot exceed 500 characters"),
+
+  body("permitNo")
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage("Permit number cannot exceed 50 characters"),
+
+  ...coordinateRules,
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for setting a seller's store location
+ */
+const validateStoreLocation = [
+  body("latitude").exists().withMessage("Latitude is required"),
+
+  body("longitude").exists().withMessage("Longitude is required"),
+
+  ...coordinateRules,
+
+  body("updateListings")
+    .optional()
+    .isBoolean()
+    .withMessage("updateListings must be true or false")
+    .toBoolean(),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for rejecting a seller application
+ */
+const validateSellerRejection = [
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Rejection reason cannot exceed 200 characters"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for suspending an account
+ */
+const validateAccountSuspension = [
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Suspension reason cannot exceed 200 characters"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for changing an account's role
+ */
+const validateRoleChange = [
+  body("role")
+    .trim()
+    .notEmpty()
+    .withMessage("Role is required")
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(", ")}`),
+
+  handleValidationErrors,
+];
+
+/**
+ * Shared rules for a second factor: a 6-digit code or a recovery code
+ */
+const secondFactorRules = [
+  body("code")
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage("Code must be 6 digits"),
+
+  body("recoveryCode")
+    .optional()
+    .trim()
+    .matches(/^[a-f0-9]{5}-?[a-f0-9]{5}$/i)
+    .withMessage("Invalid recovery code format"),
+
+  body().custom((value, { req }) => {
+    if (!req.body.code && !req.body.recoveryCode) {
+      throw new Error("A verification code or recovery code is required");
+    }
+    return true;
+  }),
+];
+
+/**
+ * Validation rules for completing a two-factor login
+ */
+const validateTwoFactorLogin = [
+  body("challengeToken").notEmpty().withMessage("Challenge token is required"),
+
+  ...secondFactorRules,
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for resending a two-factor login code
+ */
+const validateTwoFactorResend = [
+  body("challengeToken").notEmpty().withMessage("Challenge token is required"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for confirming two-factor setup with a code
+ */
+const validateTwoFactorSetupCode = [
+  body("code")
+    .trim()
+    .notEmpty()
+    .withMessage("Code is required")
+    .matches(/^\d{6}$/)
+    .withMessage("Code must be 6 digits"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for actions that need a second factor
+ */
+const validateSecondFactor = [...secondFactorRules, handleValidationErrors];
+
+/**
+ * Validation rules for disabling two-factor authentication
+ */
+const validateTwoFactorDisable = [
+  body("password")
+    .notEmpty()
+    .withMessage("Password is required to disable two-factor authentication"),
+
+  ...secondFactorRules,
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for the two-factor policy
+ */
+const validateTwoFactorPolicy = [
+  body("requiredRoles")
+    .isArray()
+    .withMessage("Required roles must be an array"),
+
+  body("requiredRoles.*")
+    .isIn(["seller", "moderator", "admin"])
+    .withMessage(
+      "Two-factor authentication can only be required for 'seller', 'moderator' or 'admin'"
+    ),
+
+  handleValidationErrors,
+];
+
+// Synonym rules shared by species creation and update
+const speciesSynonymRules = [
+  body("synonyms")
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage("Synonyms must be an array of at most 50 names"),
+
+  body("synonyms.*")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage("Each synonym must be between 1 and 60 characters"),
+];
+
+/**
+ * Validation rules for adding a species to the synonym dictionary
+ */
+const validateSpecies = [
+  body("key")
+    .trim()
+    .toLowerCase()
+    .matches(SLUG_PATTERN)
+    .withMessage(
+      "Species key may only contain lowercase letters, numbers and dashes"
+    ),
+
+  body("name")
+    .trim()
+    .isLength({ min: 2, max: 60 })
+    .withMessage("Species name must be between 2 and 60 characters"),
+
+  ...speciesSynonymRules,
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for updating a species
+ */
+const validateSpeciesUpdate = [
+  body("key")
+    .optional()
+    .trim()
+    .toLowerCase()
+    .matches(SLUG_PATTERN)
+    .withMessage(
+      "Species key may only contain lowercase letters, numbers and dashes"
+    ),
+
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 60 })
+    .withMessage("Species name must be between 2 and 60 characters"),
+
+  ...speciesSynonymRules,
+
+  handleValidationErrors,
+];
+
+/**
+ * Shared rules for a category's shelf-life policy (null inherits the parent's)
+ */
+const shelfLifeRules = [
+  body("shelfLifeHours")
+    .optional({ values: "null" })
+    .isInt({ min: 1 })
+    .withMessage("Shelf life must be a whole number of hours, at least 1")
+    .toInt(),
+
+  body("expiryAction")
+    .optional({ values: "null" })
+    .isIn(["deactivate", "flag"])
+    .withMessage("Expiry action must be 'deactivate' or 'flag'"),
+];
+
+/**
+ * Validation rules for adding a category
+ */
+const validateCategory = [
+  body("slug")
+    .trim()
+    .toLowerCase()
+    .matches(SLUG_PATTERN)
+    .withMessage(
+      "Category slug may only contain lowercase letters, numbers and dashes"
+    ),
+
+  body("name")
+    .trim()
+    .isLength({ min: 2, max: 60 })
+    .withMessage("Category name must be between 2 and 60 characters"),
+
+  body("parent")
+    .optional({ values: "null" })
+    .trim()
+    .toLowerCase()
+    .matches(SLUG_PATTERN)
+    .withMessage("Parent must be a category slug"),
+
+  ...shelfLifeRules,
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for renaming or moving a category (parent null = root)
+ */
+const validateCategoryUpdate = [
+  body("slug")
+    .optional()
+    .trim()
+    .toLowerCase()
+    .matches(SLUG_PATTERN)
+    .withMessage(
+      "Category slug may only contain lowercase letters, numbers and dashes"
+    ),
+
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 60 })
+    .withMessage("Category name must be between 2 and 60 characters"),
+
+  body("parent")
+    .optional({ values: "null" })
+    .trim()
+    .toLowerCase()
+    .matches(SLUG_PATTERN)
+    .withMessage("Parent must be a category slug or null"),
+
+  ...shelfLifeRules,
 
   handleValidationErrors,
 ];
@@ -201,12 +996,23 @@ const validateLogin = [
  * Validation rules for item creation
  */
 const validateItemCreation = [
+  body("category")
+    .optional()
+    .trim()
+    .toLowerCase()
+    .matches(SLUG_PATTERN)
+    .withMessage("Category must be a category slug, e.g. 'dried-fish'"),
+
+  // Older clients send a root category as itemType
   body("itemType")
+    .if(body("category").not().exists())
     .trim()
     .notEmpty()
-    .withMessage("Item type is required")
-    .isIn(["fish", "souvenirs", "food"])
-    .withMessage("Item type must be 'fish', 'souvenirs', or 'food'"),
+    .withMessage("Category is required")
+    .bail()
+    .toLowerCase()
+    .matches(SLUG_PATTERN)
+    .withMessage("Item type must be a category slug, e.g. 'fish'"),
 
   body("itemName")
     .trim()
@@ -215,20 +1021,24 @@ const validateItemCreation = [
     .isLength({ min: 2, max: 100 })
     .withMessage("Item name must be between 2 and 100 characters"),
 
+  // Items sold in variants take these from their variants
   body("itemPrice")
+    .if(body("variants").not().exists())
     .isFloat({ min: 0.01 })
     .withMessage("Item price must be a positive number greater than 0"),
 
   body("quantity")
+    .if(body("variants").not().exists())
     .isFloat({ min: 0 })
     .withMessage("Quantity must be a non-negative number"),
 
   body("unit")
+    .if(body("variants").not().exists())
     .trim()
     .notEmpty()
     .withMessage("Unit is required")
-    .isIn(["kg", "pieces", "lbs", "grams"])
-    .withMessage("Unit must be 'kg', 'pieces', 'lbs', or 'grams'"),
+    .isIn(UNIT_NAMES)
+    .withMessage(`Unit must be one of: ${UNIT_NAMES.join(", ")}`),
 
   body("description")
     .optional()
@@ -242,6 +1052,12 @@ const validateItemCreation = [
     .isLength({ max: 100 })
     .withMessage("Location cannot exceed 100 characters"),
 
+  ...coordinateRules,
+
+  ...orderLimitRules,
+
+  ...variantRules,
+
   handleValidationErrors,
 ];
 
@@ -249,11 +1065,19 @@ const validateItemCreation = [
  * Validation rules for item update
  */
 const validateItemUpdate = [
+  body("category")
+    .optional()
+    .trim()
+    .toLowerCase()
+    .matches(SLUG_PATTERN)
+    .withMessage("Category must be a category slug, e.g. 'dried-fish'"),
+
   body("itemType")
     .optional()
     .trim()
-    .isIn(["fish", "souvenirs", "food"])
-    .withMessage("Item type must be 'fish', 'souvenirs', or 'food'"),
+    .toLowerCase()
+    .matches(SLUG_PATTERN)
+    .withMessage("Item type must be a category slug, e.g. 'fish'"),
 
   body("itemName")
     .optional()
@@ -274,8 +1098,8 @@ const validateItemUpdate = [
   body("unit")
     .optional()
     .trim()
-    .isIn(["kg", "pieces", "lbs", "grams"])
-    .withMessage("Unit must be 'kg', 'pieces', 'lbs', or 'grams'"),
+    .isIn(UNIT_NAMES)
+    .withMessage(`Unit must be one of: ${UNIT_NAMES.join(", ")}`),
 
   body("description")
     .optional()
@@ -289,6 +1113,24 @@ const validateItemUpdate = [
     .isLength({ max: 100 })
     .withMessage("Location cannot exceed 100 characters"),
 
+  // A new catch date restarts the shelf-life window
+  body("catchDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Catch date must be a valid date")
+    .custom((value) => {
+      if (new Date(value) > new Date()) {
+        throw new Error("Catch date cannot be in the future");
+      }
+      return true;
+    }),
+
+  ...coordinateRules,
+
+  ...orderLimitRules,
+
+  ...variantRules,
+
   handleValidationErrors,
 ];
 
@@ -300,6 +1142,17 @@ const validateSellItem = [
     .isFloat({ min: 0.01 })
     .withMessage("Quantity sold must be a positive number greater than 0"),
 
+  body("variantId")
+    .optional()
+    .isMongoId()
+    .withMessage("Variant ID must be valid"),
+
+  body("unit")
+    .optional()
+    .trim()
+    .isIn(UNIT_NAMES)
+    .withMessage(`Unit must be one of: ${UNIT_NAMES.join(", ")}`),
+
   body("buyerId").isMongoId().withMessage("Valid buyer ID is required"),
 
   body("notes")
@@ -311,6 +1164,16 @@ const validateSellItem = [
   handleValidationErrors,
 ];
 
+const validateImageOrder = [
+  body("imageIds")
+    .isArray({ min: 1, max: 5 })
+    .withMessage("Image IDs must be an array of 1 to 5 IDs"),
+
+  body("imageIds.*").isMongoId().withMessage("Each image ID must be valid"),
+
+  handleValidationErrors,
+];
+
 module.exports = {
   validateBuyerSignup,
   checkUsernameUnique,
@@ -318,8 +1181,35 @@ module.exports = {
   checkContactUnique,
   validateOTP,
   validateLogin,
+  validateRefreshToken,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateProfileUpdate,
+  validatePasswordChange,
+  validateEmailChange,
+  validateContactChange,
+  validateContactChangeOTP,
+  validateAccountDeletion,
+  validateAddressCreation,
+  validateAddressUpdate,
+  validateSellerApplication,
+  validateStoreLocation,
+  validateSellerRejection,
+  validateAccountSuspension,
+  validateRoleChange,
+  validateTwoFactorLogin,
+  validateTwoFactorResend,
+  validateTwoFactorSetupCode,
+  validateSecondFactor,
+  validateTwoFactorDisable,
+  validateTwoFactorPolicy,
+  validateSpecies,
+  validateSpeciesUpdate,
+  validateCategory,
+  validateCategoryUpdate,
   validateItemCreation,
   validateItemUpdate,
   validateSellItem,
+  validateImageOrder,
   handleValidationErrors,
 };
@@ -1,8 +1,75 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const { geoPointSchema } = require("./GeoPoint");
 
 const Schema = mongoose.Schema;
 
+const addressSchema = new Schema(
+  {
+    label: {
+      type: String,
+      required: [true, "Please provide an address label"],
+      trim: true,
+      maxLength: [30, "Address label cannot exceed 30 characters"],
+    },
+    street: {
+      type: String,
+      trim: true,
+      maxLength: [100, "Street cannot exceed 100 characters"],
+    },
+    barangay: {
+      type: String,
+      required: [true, "Please provide a barangay"],
+      trim: true,
+      maxLength: [60, "Barangay cannot exceed 60 characters"],
+    },
+    municipality: {
+      type: String,
+      required: [true, "Please provide a municipality or city"],
+      trim: true,
+      maxLength: [60, "Municipality cannot exceed 60 characters"],
+    },
+    province: {
+      type: String,
+      required: [true, "Please provide a province"],
+      trim: true,
+      maxLength: [60, "Province cannot exceed 60 characters"],
+    },
+    landmark: {
+      type: String,
+      trim: true,
+      maxLength: [100, "Landmark cannot exceed 100 characters"],
+    },
+    coordinates: {
+      lat: {
+        type: Number,
+        min: [-90, "Latitude must be between -90 and 90"],
+        max: [90, "Latitude must be between -90 and 90"],
+      },
+      lng: {
+        type: Number,
+        min: [-180, "Longitude must be between -180 and 180"],
+        max: [180, "Longitude must be between -180 and 180"],
+      },
+    },
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+// Virtual for the address as a single line
+addressSchema.virtual("fullAddress").get(function () {
+  return [this.street, this.barangay, this.municipality, this.province]
+    .filter(Boolean)
+    .join(", ");
+});
+
+addressSchema.set("toJSON", { virtuals: true });
+addressSchema.set("toObject", { virtuals: true });
+
 const accountSchema = new Schema(
   {
     firstName: {
@@ -40,6 +107,13 @@ const accountSchema = new Schema(
       required: [true, "Please provide an address"],
       trim: true,
     },
+    addresses: {
+      type: [addressSchema],
+      validate: {
+        validator: (addresses) => addresses.length <= 10,
+        message: "You can save at most 10 addresses",
+      },
+    },
     email: {
       type: String,
       lowercase: true,
@@ -60,18 +134,124 @@ const accountSchema = new Schema(
       default: false,
     },
     otp: {
-      code: String,
+      codeHash: String,
+      attempts: {
+        type: Number,
+        default: 0,
+      },
+      purpose: {
+        type: String,
+        enum: [
+          "signup",
+          "password-reset",
+          "contact-change",
+          "login",
+          "two-factor",
+        ],
+      },
+      // Number the code was sent to when it differs from contactNo
+      target: String,
       expiresAt: Date,
     },
+    passwordChangedAt: Date,
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      method: {
+        type: String,
+        enum: ["totp", "sms"],
+      },
+      // Encrypted with totpService; pendingSecret holds a secret during setup
+      totpSecret: String,
+      pendingSecret: String,
+      // Last accepted TOTP time step, so a code cannot be replayed
+      lastUsedStep: Number,
+      recoveryCodes: [String], // sha256 hashes
+      enabledAt: Date,
+    },
+    // Bumped to invalidate every access token issued so far
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
     role: {
       type: String,
-      enum: ["buyer", "seller", "admin"],
+      enum: ["buyer", "seller", "moderator", "admin"],
       default: "buyer",
     },
+    isSuspended: {
+      type: Boolean,
+      default: false,
+    },
+    suspendedAt: Date,
+    // Set when the owner deleted the account; personal data is anonymised
+    deletedAt: Date,
+    suspensionReason: {
+      type: String,
+      trim: true,
+      maxLength: [200, "Suspension reason cannot exceed 200 characters"],
+    },
+    store: {
+      name: {
+        type: String,
+        trim: true,
+        maxLength: [100, "Store name cannot exceed 100 characters"],
+      },
+      address: {
+        type: String,
+        trim: true,
+        maxLength: [200, "Store address cannot exceed 200 characters"],
+      },
+      description: {
+        type: String,
+        trim: true,
+        maxLength: [500, "Store description cannot exceed 500 characters"],
+      },
+      permitNo: {
+        type: String,
+        trim: true,
+      },
+      // Store position; new listings start from it
+      geoLocation: {
+        type: geoPointSchema,
+        default: undefined,
+      },
+    },
+    sellerApplication: {
+      status: {
+        type: String,
+        enum: ["pending", "approved", "rejected"],
+      },
+      submittedAt: Date,
+      reviewedAt: Date,
+      reviewedBy: {
+        type: Schema.Types.ObjectId,
+        ref: "Account",
+      },
+      rejectionReason: {
+        type: String,
+        trim: true,
+        maxLength: [200, "Rejection reason cannot exceed 200 characters"],
+      },
+    },
   },
   { timestamps: true }
 );
 
+// Index for admin account filtering
+accountSchema.index({ role: 1, isVerified: 1, isSuspended: 1 });
+
+// Index for the admin seller application queue
+accountSchema.index({
+  "sellerApplication.status": 1,
+  "sellerApplication.submittedAt": 1,
+});
+
+// Index for finding stores near a point
+accountSchema.index({ "store.geoLocation": "2dsphere" });
+
 accountSchema.pre("save", async function (next) {
   if (!this.isModified("password")) {
     return next();
@@ -80,6 +260,11 @@ accountSchema.pre("save", async function (next) {
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Invalidates tokens issued before this change (see changedPasswordAfter)
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
     next();
   } catch (error) {
     next(error);
@@ -90,6 +275,30 @@ accountSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+/**
+ * Whether the password changed after a token issued at `issuedAt` (JWT iat, in seconds)
+ */
+accountSchema.methods.changedPasswordAfter = function (issuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > issuedAt;
+};
+
+/**
+ * Make one saved address the default and mirror it into the legacy
+ * `address` string read by older clients
+ */
+accountSchema.methods.setDefaultAddress = function (addressId) {
+  const target = this.addresses.id(addressId);
+  if (!target) return null;
+
+  this.addresses.forEach((address) => {
+    address.isDefault = address._id.equals(target._id);
+  });
+  this.address = target.fullAddress;
+
+  return target;
+};
+
 accountSchema.methods.isAdult = function () {
   const today = new Date();
   const birthDate = new Date(this.dateOfBirth);
@@ -0,0 +1,81 @@
+const mongoose = require("mongoose");
+
+const Schema = mongoose.Schema;
+
+const RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS) || 365;
+
+// Security-relevant events on accounts: logins, codes, credential and role changes
+const auditEventSchema = new Schema({
+  action: {
+    type: String,
+    required: true,
+    enum: [
+      "signup",
+      "otp.send",
+      "otp.verify",
+      "login",
+      "login.challenge",
+      "login.two-factor",
+      "token.refresh",
+      "token.rejected",
+      "logout",
+      "logout-all",
+      "password.change",
+      "password.reset",
+      "email.change",
+      "contact.change",
+      "two-factor.enable",
+      "two-factor.disable",
+      "two-factor.recovery-codes",
+      "account.export",
+      "account.delete",
+      "account.suspend",
+      "account.reactivate",
+      "account.role-change",
+      "account.verify",
+      "seller.apply",
+      "seller.approve",
+      "seller.reject",
+      "security.policy-change",
+    ],
+  },
+  outcome: {
+    type: String,
+    enum: ["success", "failure"],
+    required: true,
+  },
+  // Account that performed the action (unset for unknown login identifiers)
+  actor: {
+    type: Schema.Types.ObjectId,
+    ref: "Account",
+  },
+  // Account the action affected; the actor's own account unless an admin acted
+  target: {
+    type: Schema.Types.ObjectId,
+    ref: "Account",
+  },
+  // Identifier as typed at login, for attempts that matched no account
+  identifier: String,
+  ip: String,
+  userAgent: String,
+  // Why a failure happened, e.g. "bad-password"
+  reason: String,
+  metadata: Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Index for better query performance
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ target: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, outcome: 1, createdAt: -1 });
+auditEventSchema.index({ ip: 1, createdAt: -1 });
+
+auditEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model("AuditEvent", auditEventSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { UNIT_NAMES } = require("../config/units");
 
 const Schema = mongoose.Schema;
 
@@ -14,22 +15,34 @@ const cartSchema = new Schema(
       ref: "Item",
       required: [true, "Cart item must reference an item"],
     },
+    // Chosen variant of items sold in variants (null otherwise)
+    variant: {
+      type: Schema.Types.ObjectId,
+      default: null,
+    },
     quantity: {
       type: Number,
       required: [true, "Please specify the quantity"],
       min: [0.01, "Quantity must be greater than 0"],
     },
+    // Unit the buyer chose for `quantity`; any unit compatible with the
+    // listing's. Older cart entries without one use the listing's unit.
+    unit: {
+      type: String,
+      enum: UNIT_NAMES,
+    },
   },
   { timestamps: true }
 );
 
 // Index for better query performance
-cartSchema.index({ user: 1, item: 1 }, { unique: true }); // One item per user in cart
+// One entry per item variant per user in cart
+cartSchema.index({ user: 1, item: 1, variant: 1 }, { unique: true });
 cartSchema.index({ user: 1 });
 
 // Virtual for formatted quantity
 cartSchema.virtual("formattedQuantity").get(function () {
-  return `${this.quantity} ${this.item?.unit || ""}`;
+  return `${this.quantity} ${this.unit || this.item?.unit || ""}`;
 });
 
 // Ensure virtual fields are serialized
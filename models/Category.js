@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+const Schema = mongoose.Schema;
+
+// Admin-managed catalog category, e.g. "Dried fish" > "Danggit"
+const categorySchema = new Schema(
+  {
+    slug: {
+      type: String,
+      required: [true, "Please provide a category slug"],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [
+        /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+        "Category slug may only contain lowercase letters, numbers and dashes",
+      ],
+    },
+    name: {
+      type: String,
+      required: [true, "Please provide a category name"],
+      trim: true,
+      maxLength: [60, "Category name cannot exceed 60 characters"],
+    },
+    parent: {
+      type: Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+    // Every category above this one, root first; kept in sync on moves
+    ancestors: {
+      type: [{ type: Schema.Types.ObjectId, ref: "Category" }],
+      default: [],
+    },
+    // Shelf-life policy: hours after the catch date a listing may stay up,
+    // and what happens once it is past them. Null inherits from the parent
+    // category; without a policy anywhere above, listings never expire.
+    shelfLifeHours: {
+      type: Number,
+      default: null,
+      min: [1, "Shelf life must be at least 1 hour"],
+    },
+    expiryAction: {
+      type: String,
+      enum: {
+        values: ["deactivate", "flag", null],
+        message: "Expiry action must be 'deactivate' or 'flag'",
+      },
+      default: null,
+    },
+    updatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "Account",
+    },
+  },
+  { timestamps: true }
+);
+
+categorySchema.index({ parent: 1 });
+categorySchema.index({ ancestors: 1 });
+
+module.exports = mongoose.model("Category", categorySchema);
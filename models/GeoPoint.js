@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+const Schema = mongoose.Schema;
+
+// GeoJSON point for 2dsphere queries. Coordinates are [longitude, latitude].
+const geoPointSchema = new Schema(
+  {
+    type: {
+      type: String,
+      enum: ["Point"],
+      default: "Point",
+      required: true,
+    },
+    coordinates: {
+      type: [Number],
+      required: true,
+      validate: {
+        validator: ([lng, lat, ...rest]) =>
+          rest.length === 0 &&
+          lng >= -180 &&
+          lng <= 180 &&
+          lat >= -90 &&
+          lat <= 90,
+        message: "Coordinates must be [longitude, latitude]",
+      },
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Build a point from latitude/longitude as sent by clients
+ */
+const toGeoPoint = (latitude, longitude) => ({
+  type: "Point",
+  coordinates: [parseFloat(longitude), parseFloat(latitude)],
+});
+
+module.exports = { geoPointSchema, toGeoPoint };
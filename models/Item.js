@@ -1,7 +1,137 @@
 const mongoose = require("mongoose");
+const { geoPointSchema } = require("./GeoPoint");
+const { UNIT_NAMES } = require("../config/units");
+const unitService = require("../services/unitService");
 
 const Schema = mongoose.Schema;
 
+const MAX_IMAGES = 5;
+const MAX_VARIANTS = 10;
+
+// Freshness of fish by hours since catch, freshest first
+const FRESHNESS_BANDS = [
+  { key: "very-fresh", label: "Very Fresh", maxHours: 24 },
+  { key: "fresh", label: "Fresh", maxHours: 48 },
+  { key: "good", label: "Good", maxHours: 72 },
+  { key: "check-freshness", label: "Check Freshness", maxHours: Infinity },
+];
+
+// One photo in an item's gallery (e.g. the whole fish, its gills, its eyes)
+const itemImageSchema = new Schema({
+  url: {
+    type: String, // Cloudinary URL
+    required: true,
+  },
+  publicId: {
+    type: String, // Cloudinary public ID, needed to delete the image
+    required: true,
+  },
+});
+
+// Order limits, in the unit of the listing (or variant) they belong to.
+// Listings sold by the piece are always ordered in whole pieces.
+const orderRuleFields = {
+  minOrderQuantity: {
+    type: Number,
+    min: [0.001, "Minimum order quantity must be greater than 0"],
+  },
+  maxOrderQuantity: {
+    type: Number,
+    min: [0.001, "Maximum order quantity must be greater than 0"],
+  },
+  quantityStep: {
+    type: Number,
+    min: [0.001, "Quantity step must be greater than 0"],
+  },
+};
+
+const isWhole = (value) => Math.abs(value - Math.round(value)) < 1e-9;
+
+/**
+ * Reject order limits that contradict each other or the unit
+ */
+function validateOrderRules() {
+  if (
+    this.minOrderQuantity != null &&
+    this.maxOrderQuantity != null &&
+    this.minOrderQuantity > this.maxOrderQuantity
+  ) {
+    this.invalidate(
+      "maxOrderQuantity",
+      "Maximum order quantity cannot be below the minimum"
+    );
+  }
+
+  if (this.unit === "pieces") {
+    Object.keys(orderRuleFields)
+      .filter((path) => this[path] != null && !isWhole(this[path]))
+      .forEach((path) =>
+        this.invalidate(path, "Order limits for pieces must be whole numbers")
+      );
+  }
+}
+
+/**
+ * Why `quantity` (in the offer's unit) cannot be ordered from an item or
+ * variant, or null if it can
+ */
+const orderQuantityError = (offer, quantity) => {
+  const amount = (value) => `${value} ${offer.unit}`;
+  const step = offer.quantityStep || (offer.unit === "pieces" ? 1 : undefined);
+
+  if (offer.minOrderQuantity != null && quantity < offer.minOrderQuantity) {
+    return `Minimum order is ${amount(offer.minOrderQuantity)}`;
+  }
+  if (offer.maxOrderQuantity != null && quantity > offer.maxOrderQuantity) {
+    return `Maximum order is ${amount(offer.maxOrderQuantity)}`;
+  }
+  if (step && !isWhole(quantity / step)) {
+    return step === 1 && offer.unit === "pieces"
+      ? "Pieces can only be ordered whole"
+      : `Quantity must be a multiple of ${amount(step)}`;
+  }
+  return null;
+};
+
+// One way a listing is sold (e.g. whole, as steaks, cleaned), with its own
+// price, unit and stock
+const itemVariantSchema = new Schema({
+  label: {
+    type: String,
+    required: [true, "Please provide a variant label"],
+    trim: true,
+    maxLength: [50, "Variant label cannot exceed 50 characters"],
+  },
+  itemPrice: {
+    type: Number,
+    required: [true, "Please provide a variant price"],
+    min: [0.01, "Price must be greater than 0"],
+  },
+  quantity: {
+    type: Number,
+    required: [true, "Please provide the quantity available"],
+    min: [0, "Quantity cannot be negative"],
+  },
+  unit: {
+    type: String,
+    required: [true, "Please specify the unit of measurement"],
+    enum: {
+      values: UNIT_NAMES,
+      message: "Unit must be 'kg', 'pieces', 'lbs', or 'grams'",
+    },
+  },
+  ...orderRuleFields,
+});
+
+itemVariantSchema.pre("validate", validateOrderRules);
+
+itemVariantSchema.virtual("pricePerKg").get(function () {
+  return unitService.pricePerKg(this.itemPrice, this.unit);
+});
+
+itemVariantSchema.set("toJSON", { virtuals: true });
+itemVariantSchema.set("toObject", { virtuals: true });
+
 const itemSchema = new Schema(
   {
     seller: {
@@ -9,13 +139,20 @@ const itemSchema = new Schema(
       ref: "Account",
       required: [true, "Item must belong to a seller"],
     },
+    // Slug of the root category (e.g. "fish"), kept for older clients
     itemType: {
       type: String,
       required: [true, "Please specify the item type"],
-      enum: {
-        values: ["fish", "souvenirs", "food"],
-        message: "Item type must be either 'fish', 'souvenirs', or 'food'",
-      },
+    },
+    category: {
+      type: Schema.Types.ObjectId,
+      ref: "Category",
+    },
+    // The category and every category above it, so filtering by a
+    // category includes its subcategories
+    categoryPath: {
+      type: [{ type: Schema.Types.ObjectId, ref: "Category" }],
+      default: undefined,
     },
     itemName: {
       type: String,
@@ -23,6 +160,12 @@ const itemSchema = new Schema(
       trim: true,
       maxLength: [100, "Item name cannot exceed 100 characters"],
     },
+    // Canonical species from the synonym dictionary (null if unrecognised),
+    // so "GG" and "Galunggong" listings group together
+    speciesKey: {
+      type: String,
+      default: null,
+    },
     itemPrice: {
       type: Number,
       required: [true, "Please provide an item price"],
@@ -37,10 +180,38 @@ const itemSchema = new Schema(
       type: String,
       required: [true, "Please specify the unit of measurement"],
       enum: {
-        values: ["kg", "pieces", "lbs", "grams"],
+        values: UNIT_NAMES,
         message: "Unit must be 'kg', 'pieces', 'lbs', or 'grams'",
       },
     },
+    // For items without variants; each variant has its own
+    ...orderRuleFields,
+    // Optional; with variants, the listing-level price, unit and quantity
+    // mirror the first variant in stock
+    variants: {
+      type: [itemVariantSchema],
+      validate: [
+        {
+          validator: (variants) => variants.length <= MAX_VARIANTS,
+          message: `An item can have at most ${MAX_VARIANTS} variants`,
+        },
+        {
+          validator: (variants) =>
+            new Set(variants.map((variant) => variant.label.toLowerCase()))
+              .size === variants.length,
+          message: "Variant labels must be unique",
+        },
+      ],
+    },
+    // Ordered gallery; the first image is the cover
+    images: {
+      type: [itemImageSchema],
+      validate: {
+        validator: (images) => images.length <= MAX_IMAGES,
+        message: `An item can have at most ${MAX_IMAGES} images`,
+      },
+    },
+    // Legacy single-image fields, kept in sync with the cover image for older clients
     image: {
       type: String, // This will store the Cloudinary URL
       required: [true, "Please provide an item image"],
@@ -63,11 +234,27 @@ const itemSchema = new Schema(
       default: Date.now,
       required: true,
     },
+    // Set by the shelf-life sweep (see expiryService) and cleared when the
+    // catch date changes
+    expiryWarnedAt: {
+      type: Date,
+      default: null,
+    },
+    expiredAt: {
+      type: Date,
+      default: null,
+    },
     location: {
       type: String,
       trim: true,
       maxLength: [100, "Location cannot exceed 100 characters"],
     },
+    // Where the catch is sold, for "near me" searches. Defaults to the
+    // seller's store; listings without one only show up in text searches.
+    geoLocation: {
+      type: geoPointSchema,
+      default: undefined,
+    },
   },
   { timestamps: true }
 );
@@ -75,7 +262,71 @@ const itemSchema = new Schema(
 // Index for better query performance
 itemSchema.index({ seller: 1, isActive: 1 });
 itemSchema.index({ itemType: 1, isActive: 1 });
+itemSchema.index({ categoryPath: 1, isActive: 1 });
 itemSchema.index({ catchDate: -1 });
+itemSchema.index({ category: 1, isActive: 1, expiredAt: 1, catchDate: 1 });
+itemSchema.index({ speciesKey: 1, isActive: 1 });
+itemSchema.index({ geoLocation: "2dsphere" });
+
+// Full-text catalog search; name matches rank above description/location
+itemSchema.index(
+  { itemName: "text", description: "text", location: "text" },
+  {
+    name: "item_text_search",
+    weights: { itemName: 10, description: 3, location: 1 },
+  }
+);
+
+// Items created before galleries only have the legacy fields. The item's
+// own id is reused for that image so it stays stable until the item is saved.
+// Skipped when a projection leaves the images out.
+itemSchema.post("init", function () {
+  if (!this.isSelected("images") || !Array.isArray(this.images)) return;
+
+  if (this.images.length === 0 && this.image) {
+    this.images = [
+      { _id: this._id, url: this.image, publicId: this.imagePublicId },
+    ];
+  }
+});
+
+// Mirror the cover image into the legacy fields
+itemSchema.pre("validate", function () {
+  const cover = this.images[0];
+
+  if (cover) {
+    this.image = cover.url;
+    this.imagePublicId = cover.publicId;
+  }
+});
+
+// Show the first variant in stock (or the first variant once all are sold
+// out) at listing level, so the catalog filters, sorts and counts stock
+// across variants without knowing about them
+itemSchema.pre("validate", function () {
+  if (this.variants.length === 0) return;
+
+  const shown =
+    this.variants.find((variant) => variant.quantity > 0) || this.variants[0];
+
+  this.itemPrice = shown.itemPrice;
+  this.unit = shown.unit;
+  this.quantity = shown.quantity;
+});
+
+itemSchema.pre("validate", validateOrderRules);
+
+/**
+ * What a buyer picks: the variant with this id, or the item itself when it
+ * has no variants. Null for a missing variant, or a variant id on an item
+ * without variants (and vice versa).
+ */
+itemSchema.methods.findOffer = function (variantId) {
+  if (this.variants.length === 0) {
+    return variantId ? null : this;
+  }
+  return variantId ? this.variants.id(variantId) : null;
+};
 
 // Virtual for formatted price
 itemSchema.virtual("formattedPrice").get(function () {
@@ -87,6 +338,20 @@ itemSchema.virtual("formattedQuantity").get(function () {
   return `${this.quantity} ${this.unit}`;
 });
 
+// Virtual for the price of one kg, so per-lb and per-gram listings compare
+// with per-kg ones (null for listings sold by the piece)
+itemSchema.virtual("pricePerKg").get(function () {
+  return unitService.pricePerKg(this.itemPrice, this.unit);
+});
+
+// Virtual for stock: an item with variants is only out of stock when every
+// variant is
+itemSchema.virtual("inStock").get(function () {
+  return this.variants.length > 0
+    ? this.variants.some((variant) => variant.quantity > 0)
+    : this.quantity > 0;
+});
+
 // Virtual for freshness indicator (for fish items)
 itemSchema.virtual("isFresh").get(function () {
   if (this.itemType !== "fish") return null;
@@ -94,14 +359,16 @@ itemSchema.virtual("isFresh").get(function () {
   const now = new Date();
   const hoursSinceCatch = (now - this.catchDate) / (1000 * 60 * 60);
 
-  if (hoursSinceCatch <= 24) return "Very Fresh";
-  if (hoursSinceCatch <= 48) return "Fresh";
-  if (hoursSinceCatch <= 72) return "Good";
-  return "Check Freshness";
+  return FRESHNESS_BANDS.find((band) => hoursSinceCatch <= band.maxHours).label;
 });
 
 // Ensure virtual fields are serialized
 itemSchema.set("toJSON", { virtuals: true });
 itemSchema.set("toObject", { virtuals: true });
 
+itemSchema.statics.MAX_IMAGES = MAX_IMAGES;
+itemSchema.statics.MAX_VARIANTS = MAX_VARIANTS;
+itemSchema.statics.orderQuantityError = orderQuantityError;
+itemSchema.statics.FRESHNESS_BANDS = FRESHNESS_BANDS;
+
 module.exports = mongoose.model("Item", itemSchema);
@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+const Schema = mongoose.Schema;
+
+const loginAttemptSchema = new Schema({
+  // Identifier as typed at login (username, email or contact number), lowercased
+  identifier: {
+    type: String,
+    required: true,
+  },
+  // Account the identifier resolved to, if any
+  account: {
+    type: Schema.Types.ObjectId,
+    ref: "Account",
+  },
+  ip: String,
+  userAgent: String,
+  success: {
+    type: Boolean,
+    required: true,
+  },
+  reason: {
+    type: String,
+    enum: ["unknown-account", "bad-password", "bad-second-factor"],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Index for better query performance
+loginAttemptSchema.index({ identifier: 1, createdAt: -1 });
+loginAttemptSchema.index({ account: 1, createdAt: -1 });
+loginAttemptSchema.index({ ip: 1, createdAt: -1 });
+loginAttemptSchema.index({ success: 1, createdAt: -1 });
+
+// Keep 30 days of history for admins
+loginAttemptSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model("LoginAttempt", loginAttemptSchema);
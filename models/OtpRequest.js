@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+const Schema = mongoose.Schema;
+
+// One document per OTP SMS sent, used for resend cooldowns and daily caps
+const otpRequestSchema = new Schema({
+  contactNo: {
+    type: String,
+    required: true,
+  },
+  ip: String,
+  purpose: {
+    type: String,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Index for better query performance
+otpRequestSchema.index({ contactNo: 1, createdAt: -1 });
+otpRequestSchema.index({ ip: 1, createdAt: -1 });
+
+// Caps are per rolling day, so older records are no longer needed
+otpRequestSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model("OtpRequest", otpRequestSchema);
@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+const Schema = mongoose.Schema;
+
+// Single admin-managed document holding platform-wide security settings
+const securityPolicySchema = new Schema(
+  {
+    key: {
+      type: String,
+      default: "default",
+      unique: true,
+    },
+    twoFactorRequiredRoles: {
+      type: [String],
+      // Roles with the two-factor:manage permission
+      enum: ["seller", "moderator", "admin"],
+      default: [],
+    },
+    updatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "Account",
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("SecurityPolicy", securityPolicySchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { UNIT_NAMES } = require("../config/units");
 
 const Schema = mongoose.Schema;
 
@@ -19,10 +20,24 @@ const soldItemSchema = new Schema(
       ref: "Account",
       required: [true, "Sold item must have a buyer"],
     },
+    // Root category slug at the time of sale
     itemType: {
       type: String,
       required: true,
-      enum: ["fish", "souvenirs", "food"],
+    },
+    category: {
+      type: Schema.Types.ObjectId,
+      ref: "Category",
+    },
+    // Variant bought, if the item is sold in variants; the label is copied
+    // like the name so the record survives later edits
+    variant: {
+      type: Schema.Types.ObjectId,
+      default: null,
+    },
+    variantLabel: {
+      type: String,
+      trim: true,
     },
     itemName: {
       type: String,
@@ -40,7 +55,7 @@ const soldItemSchema = new Schema(
     unit: {
       type: String,
       required: true,
-      enum: ["kg", "pieces", "lbs", "grams"],
+      enum: UNIT_NAMES,
     },
     totalAmount: {
       type: Number,
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+const Schema = mongoose.Schema;
+
+// Admin-curated species entry: every name buyers and sellers use for one fish
+const speciesSchema = new Schema(
+  {
+    // Canonical key stored on listings, e.g. "galunggong"
+    key: {
+      type: String,
+      required: [true, "Please provide a species key"],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [
+        /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+        "Species key may only contain lowercase letters, numbers and dashes",
+      ],
+    },
+    // Display name, e.g. "Round scad"
+    name: {
+      type: String,
+      required: [true, "Please provide a species name"],
+      trim: true,
+      maxLength: [60, "Species name cannot exceed 60 characters"],
+    },
+    // Local and trade names, abbreviations and common misspellings
+    synonyms: {
+      type: [String],
+      default: [],
+    },
+    updatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "Account",
+    },
+  },
+  { timestamps: true }
+);
+
+speciesSchema.pre("validate", function () {
+  this.synonyms = [
+    ...new Set(
+      this.synonyms
+        .map((synonym) => synonym.trim().toLowerCase())
+        .filter(Boolean)
+    ),
+  ];
+});
+
+module.exports = mongoose.model("Species", speciesSchema);
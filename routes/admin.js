@@ -0,0 +1,164 @@
+const express = require("express");
+const router = express.Router();
+
+const {
+  getAccounts,
+  getAccountById,
+  suspendAccount,
+  reactivateAccount,
+  changeAccountRole,
+  forceVerifyAccount,
+  getSellerApplications,
+  approveSellerApplication,
+  rejectSellerApplication,
+  getLoginAttempts,
+  getTargetedAccounts,
+  getAuditEvents,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  runRetentionSweep,
+  runExpirySweep,
+  getSpecies,
+  createSpecies,
+  updateSpecies,
+  deleteSpecies,
+  getCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  runCategoryMigration,
+} = require("../controllers/adminController");
+
+const {
+  validateSellerRejection,
+  validateAccountSuspension,
+  validateRoleChange,
+  validateTwoFactorPolicy,
+  validateSpecies,
+  validateSpeciesUpdate,
+  validateCategory,
+  validateCategoryUpdate,
+} = require("../middleware/validation");
+
+const { authenticateToken } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/permissions");
+
+// All admin routes require authentication; each section its own permission
+router.use(authenticateToken);
+router.use("/accounts", requirePermission("account:manage"));
+router.use(
+  "/seller-applications",
+  requirePermission("seller-application:review")
+);
+router.use("/security", requirePermission("security:manage"));
+router.use("/maintenance", requirePermission("maintenance:run"));
+router.use("/species", requirePermission("species:manage"));
+router.use("/categories", requirePermission("category:manage"));
+
+// Account Management Routes
+
+// GET /api/admin/accounts - List accounts (?role=&isVerified=&isSuspended=&search=)
+router.get("/accounts", getAccounts);
+
+// GET /api/admin/accounts/:accountId - Get account details
+router.get("/accounts/:accountId", getAccountById);
+
+// PATCH /api/admin/accounts/:accountId/suspend
+router.patch(
+  "/accounts/:accountId/suspend",
+  validateAccountSuspension,
+  suspendAccount
+);
+
+// PATCH /api/admin/accounts/:accountId/reactivate
+router.patch("/accounts/:accountId/reactivate", reactivateAccount);
+
+// PATCH /api/admin/accounts/:accountId/role
+router.patch(
+  "/accounts/:accountId/role",
+  validateRoleChange,
+  changeAccountRole
+);
+
+// PATCH /api/admin/accounts/:accountId/verify - Force-verify an account
+router.patch("/accounts/:accountId/verify", forceVerifyAccount);
+
+// Seller Application Routes
+
+// GET /api/admin/seller-applications - List applications (?status=pending)
+router.get("/seller-applications", getSellerApplications);
+
+// PATCH /api/admin/seller-applications/:accountId/approve
+router.patch(
+  "/seller-applications/:accountId/approve",
+  approveSellerApplication
+);
+
+// PATCH /api/admin/seller-applications/:accountId/reject
+router.patch(
+  "/seller-applications/:accountId/reject",
+  validateSellerRejection,
+  rejectSellerApplication
+);
+
+// Login Security Routes
+
+// GET /api/admin/security/login-attempts (?account=&identifier=&ip=&success=)
+router.get("/security/login-attempts", getLoginAttempts);
+
+// GET /api/admin/security/targeted-accounts (?hours=24) - Most failed logins
+router.get("/security/targeted-accounts", getTargetedAccounts);
+
+// GET /api/admin/security/audit-events (?account=&actor=&target=&action=&outcome=&ip=&from=&to=)
+router.get("/security/audit-events", getAuditEvents);
+
+// GET /api/admin/security/two-factor-policy
+router.get("/security/two-factor-policy", getTwoFactorPolicy);
+
+// PUT /api/admin/security/two-factor-policy - { requiredRoles: ["seller", "admin"] }
+router.put(
+  "/security/two-factor-policy",
+  validateTwoFactorPolicy,
+  updateTwoFactorPolicy
+);
+
+// Species Dictionary Routes
+
+// GET /api/admin/species - List species and their synonyms
+router.get("/species", getSpecies);
+
+// POST /api/admin/species - { key, name, synonyms: ["gg", "round scad"] }
+router.post("/species", validateSpecies, createSpecies);
+
+// PUT /api/admin/species/:speciesId
+router.put("/species/:speciesId", validateSpeciesUpdate, updateSpecies);
+
+// DELETE /api/admin/species/:speciesId
+router.delete("/species/:speciesId", deleteSpecies);
+
+// Category Routes
+
+// GET /api/admin/categories - List categories
+router.get("/categories", getCategories);
+
+// POST /api/admin/categories - { slug, name, parent: "dried-fish" }
+router.post("/categories", validateCategory, createCategory);
+
+// PUT /api/admin/categories/:categoryId - Rename or move ({ parent: null } for a root)
+router.put("/categories/:categoryId", validateCategoryUpdate, updateCategory);
+
+// DELETE /api/admin/categories/:categoryId - Only without subcategories or listings
+router.delete("/categories/:categoryId", deleteCategory);
+
+// Maintenance Routes
+
+// POST /api/admin/maintenance/retention-sweep - Purge stale unverified accounts and expired OTPs
+router.post("/maintenance/retention-sweep", runRetentionSweep);
+
+// POST /api/admin/maintenance/expiry-sweep - Expire listings past their shelf life and warn sellers
+router.post("/maintenance/expiry-sweep", runExpirySweep);
+
+// POST /api/admin/maintenance/category-migration - Categorise listings that only have an itemType
+router.post("/maintenance/category-migration", runCategoryMigration);
+
+module.exports = router;
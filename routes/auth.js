@@ -6,11 +6,47 @@ const {
   verifyOTP,
   login,
   buyerLogin,
+  verifyTwoFactorLogin,
+  resendTwoFactorCode,
+  refreshAccessToken,
+  logout,
+  logoutAll,
   getUserProfile,
   getBuyerProfile,
   resendOTP,
+  updateProfile,
+  changePassword,
+  changeEmail,
+  requestContactChange,
+  verifyContactChange,
+  getMyActivity,
+  exportMyData,
+  deleteMyAccount,
+  forgotPassword,
+  verifyPasswordResetOTP,
+  resetPassword,
+  applyAsSeller,
+  updateStoreLocation,
 } = require("../controllers/authController");
 
+const {
+  getAddresses,
+  addAddress,
+  updateAddress,
+  setDefaultAddress,
+  deleteAddress,
+} = require("../controllers/addressController");
+
+const {
+  getTwoFactorStatus,
+  startTotpSetup,
+  enableTotp,
+  sendSmsCode,
+  enableSms,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} = require("../controllers/twoFactorController");
+
 const {
   validateBuyerSignup,
   checkUsernameUnique,
@@ -18,9 +54,38 @@ const {
   checkContactUnique,
   validateOTP,
   validateLogin,
+  validateRefreshToken,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateProfileUpdate,
+  validatePasswordChange,
+  validateEmailChange,
+  validateContactChange,
+  validateContactChangeOTP,
+  validateAccountDeletion,
+  validateAddressCreation,
+  validateAddressUpdate,
+  validateSellerApplication,
+  validateStoreLocation,
+  validateTwoFactorLogin,
+  validateTwoFactorResend,
+  validateTwoFactorSetupCode,
+  validateSecondFactor,
+  validateTwoFactorDisable,
 } = require("../middleware/validation");
 
-const { authenticateToken } = require("../middleware/auth");
+const {
+  authenticateToken,
+  authenticateForTwoFactorSetup,
+} = require("../middleware/auth");
+const { requirePermission } = require("../middleware/permissions");
+
+// Accounts managing their own two-factor authentication; allowed before
+// 2FA is set up so accounts that are required to use it can do so
+const twoFactorManager = [
+  authenticateForTwoFactorSetup,
+  requirePermission("two-factor:manage"),
+];
 
 // Buyer Authentication Routes
 
@@ -38,13 +103,114 @@ router.post(
 router.post("/buyer/verify-otp", validateOTP, verifyOTP);
 
 // POST /api/auth/login (General login for all account types)
+// { identifier, password } or, passwordless, { method: "otp", contactNo[, otp] }
 router.post("/login", validateLogin, login);
 
 // POST /api/auth/buyer/login (Buyer-specific login - backward compatibility)
 router.post("/buyer/login", validateLogin, buyerLogin);
 
+// POST /api/auth/refresh (Rotate refresh token, returns a new token pair)
+router.post("/refresh", validateRefreshToken, refreshAccessToken);
+
+// POST /api/auth/logout (End the session of the given refresh token)
+router.post("/logout", validateRefreshToken, logout);
+
+// POST /api/auth/logout-all (End every session - Protected)
+router.post("/logout-all", authenticateForTwoFactorSetup, logoutAll);
+
 // GET /api/auth/profile (General profile for all account types - Protected)
-router.get("/profile", authenticateToken, getUserProfile);
+router.get("/profile", authenticateForTwoFactorSetup, getUserProfile);
+
+// PATCH /api/auth/profile (Update name and address - Protected)
+router.patch(
+  "/profile",
+  authenticateToken,
+  validateProfileUpdate,
+  updateProfile
+);
+
+// PATCH /api/auth/profile/password (Change password - Protected)
+router.patch(
+  "/profile/password",
+  authenticateToken,
+  validatePasswordChange,
+  changePassword
+);
+
+// PATCH /api/auth/profile/email (Change email - Protected)
+router.patch(
+  "/profile/email",
+  authenticateToken,
+  validateEmailChange,
+  checkEmailUnique,
+  changeEmail
+);
+
+// POST /api/auth/profile/contact (Send OTP to a new contact number - Protected)
+router.post(
+  "/profile/contact",
+  authenticateToken,
+  validateContactChange,
+  checkContactUnique,
+  requestContactChange
+);
+
+// POST /api/auth/profile/contact/verify (Apply the new contact number - Protected)
+router.post(
+  "/profile/contact/verify",
+  authenticateToken,
+  validateContactChangeOTP,
+  verifyContactChange
+);
+
+// GET /api/auth/profile/activity (Recent security events on my account - Protected)
+router.get("/profile/activity", authenticateToken, getMyActivity);
+
+// GET /api/auth/profile/export (Download all personal data - Protected)
+router.get("/profile/export", authenticateToken, exportMyData);
+
+// DELETE /api/auth/profile (Delete and anonymise the account - Protected)
+router.delete(
+  "/profile",
+  authenticateToken,
+  validateAccountDeletion,
+  deleteMyAccount
+);
+
+// Address Book Routes (Protected)
+
+// GET /api/auth/profile/addresses
+router.get("/profile/addresses", authenticateToken, getAddresses);
+
+// POST /api/auth/profile/addresses
+router.post(
+  "/profile/addresses",
+  authenticateToken,
+  validateAddressCreation,
+  addAddress
+);
+
+// PUT /api/auth/profile/addresses/:addressId
+router.put(
+  "/profile/addresses/:addressId",
+  authenticateToken,
+  validateAddressUpdate,
+  updateAddress
+);
+
+// PATCH /api/auth/profile/addresses/:addressId/default
+router.patch(
+  "/profile/addresses/:addressId/default",
+  authenticateToken,
+  setDefaultAddress
+);
+
+// DELETE /api/auth/profile/addresses/:addressId
+router.delete(
+  "/profile/addresses/:addressId",
+  authenticateToken,
+  deleteAddress
+);
 
 // GET /api/auth/buyer/profile (Buyer-specific profile - backward compatibility)
 router.get("/buyer/profile", authenticateToken, getBuyerProfile);
@@ -52,4 +218,85 @@ router.get("/buyer/profile", authenticateToken, getBuyerProfile);
 // POST /api/auth/buyer/resend-otp
 router.post("/buyer/resend-otp", resendOTP);
 
+// Two-Factor Authentication Routes
+
+// POST /api/auth/2fa/verify (Exchange a login challenge and second factor for tokens)
+// { challengeToken, code } or { challengeToken, recoveryCode }
+router.post("/2fa/verify", validateTwoFactorLogin, verifyTwoFactorLogin);
+
+// POST /api/auth/2fa/resend (Send a new SMS code for a login challenge)
+router.post("/2fa/resend", validateTwoFactorResend, resendTwoFactorCode);
+
+// GET /api/auth/2fa (Two-factor status - Protected, sellers, moderators and admins)
+router.get("/2fa", twoFactorManager, getTwoFactorStatus);
+
+// POST /api/auth/2fa/totp/setup (Get a secret for an authenticator app)
+router.post("/2fa/totp/setup", twoFactorManager, startTotpSetup);
+
+// POST /api/auth/2fa/totp/enable (Confirm with an app code, returns recovery codes)
+router.post(
+  "/2fa/totp/enable",
+  twoFactorManager,
+  validateTwoFactorSetupCode,
+  enableTotp
+);
+
+// POST /api/auth/2fa/sms/code (Send a verification code to the account's number)
+router.post("/2fa/sms/code", twoFactorManager, sendSmsCode);
+
+// POST /api/auth/2fa/sms/enable (Confirm with the SMS code, returns recovery codes)
+router.post(
+  "/2fa/sms/enable",
+  twoFactorManager,
+  validateTwoFactorSetupCode,
+  enableSms
+);
+
+// POST /api/auth/2fa/disable ({ password, code | recoveryCode })
+router.post(
+  "/2fa/disable",
+  twoFactorManager,
+  validateTwoFactorDisable,
+  disableTwoFactor
+);
+
+// POST /api/auth/2fa/recovery-codes (Replace recovery codes - { code | recoveryCode })
+router.post(
+  "/2fa/recovery-codes",
+  twoFactorManager,
+  validateSecondFactor,
+  regenerateRecoveryCodes
+);
+
+// Password Reset Routes
+
+// POST /api/auth/password/forgot
+router.post("/password/forgot", validateForgotPassword, forgotPassword);
+
+// POST /api/auth/password/verify-otp
+router.post("/password/verify-otp", validateOTP, verifyPasswordResetOTP);
+
+// POST /api/auth/password/reset
+router.post("/password/reset", validatePasswordReset, resetPassword);
+
+// Seller Onboarding Routes
+
+// POST /api/auth/seller/apply (Protected - verified buyers only)
+router.post(
+  "/seller/apply",
+  authenticateToken,
+  validateSellerApplication,
+  applyAsSeller
+);
+
+// PUT /api/auth/seller/store-location (Protected - sellers)
+// { latitude, longitude, updateListings }
+router.put(
+  "/seller/store-location",
+  authenticateToken,
+  requirePermission("store:manage"),
+  validateStoreLocation,
+  updateStoreLocation
+);
+
 module.exports = router;
@@ -11,9 +11,10 @@ const {
 } = require("../controllers/cartController");
 
 const { authenticateToken } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/permissions");
 
-// All cart routes require authentication
-router.use(authenticateToken);
+// All cart routes work on the caller's own cart
+router.use(authenticateToken, requirePermission("cart:manage"));
 
 // POST /api/cart/add - Add item to cart
 router.post("/add", addToCart);
@@ -24,7 +25,7 @@ router.get("/", getCart);
 // PUT /api/cart/update - Update cart item quantity
 router.put("/update", updateCartItem);
 
-// DELETE /api/cart/remove/:itemId - Remove item from cart
+// DELETE /api/cart/remove/:itemId - Remove item from cart (?variantId= for a variant)
 router.delete("/remove/:itemId", removeFromCart);
 
 // DELETE /api/cart/clear - Clear entire cart
@@ -4,6 +4,7 @@ const router = express.Router();
 const {
   createItem,
   getAllItems,
+  getCategoryTree,
   getItemsBySeller,
   getItemById,
   updateItem,
@@ -11,22 +12,35 @@ const {
   sellItem,
   getSoldItemsBySeller,
   getSoldItemsByBuyer,
+  addItemImages,
+  removeItemImage,
+  reorderItemImages,
+  setCoverImage,
 } = require("../controllers/itemController");
 
 const {
   validateItemCreation,
   validateItemUpdate,
   validateSellItem,
+  validateImageOrder,
 } = require("../middleware/validation");
 
 const { authenticateToken } = require("../middleware/auth");
-const { uploadSingle } = require("../middleware/upload");
+const { requirePermission, ownership } = require("../middleware/permissions");
+const {
+  uploadSingle,
+  uploadMultiple,
+  uploadItemImages,
+} = require("../middleware/upload");
 
 // Public routes (no authentication required)
 
 // GET /api/items - Get all active items with optional filtering
 router.get("/", getAllItems);
 
+// GET /api/items/categories - Category tree
+router.get("/categories", getCategoryTree);
+
 // GET /api/items/:itemId - Get single item by ID
 router.get("/:itemId", getItemById);
 
@@ -35,34 +49,91 @@ router.get("/seller/:sellerId", getItemsBySeller);
 
 // Protected routes (authentication required)
 
-// POST /api/items - Create new item (sellers only)
+// POST /api/items - Create new item (approved sellers only)
 router.post(
   "/",
   authenticateToken,
-  uploadSingle,
+  requirePermission("item:create"),
+  uploadItemImages,
   validateItemCreation,
   createItem
 );
 
-// PUT /api/items/:itemId - Update item (owner only)
+// PUT /api/items/:itemId - Update item (owner, moderators and admins)
 router.put(
   "/:itemId",
   authenticateToken,
+  requirePermission("item:update", ownership.item),
   uploadSingle,
   validateItemUpdate,
   updateItem
 );
 
-// DELETE /api/items/:itemId - Delete item (owner only)
-router.delete("/:itemId", authenticateToken, deleteItem);
+// DELETE /api/items/:itemId - Delete item (owner, moderators and admins)
+router.delete(
+  "/:itemId",
+  authenticateToken,
+  requirePermission("item:delete", ownership.item),
+  deleteItem
+);
+
+// POST /api/items/:itemId/images - Add images to the gallery (owner, moderators and admins)
+router.post(
+  "/:itemId/images",
+  authenticateToken,
+  requirePermission("item:update", ownership.item),
+  uploadMultiple,
+  addItemImages
+);
+
+// PATCH /api/items/:itemId/images/order - Reorder the gallery
+router.patch(
+  "/:itemId/images/order",
+  authenticateToken,
+  requirePermission("item:update", ownership.item),
+  validateImageOrder,
+  reorderItemImages
+);
+
+// PATCH /api/items/:itemId/images/:imageId/cover - Make an image the cover
+router.patch(
+  "/:itemId/images/:imageId/cover",
+  authenticateToken,
+  requirePermission("item:update", ownership.item),
+  setCoverImage
+);
 
-// POST /api/items/:itemId/sell - Sell an item (owner only)
-router.post("/:itemId/sell", authenticateToken, validateSellItem, sellItem);
+// DELETE /api/items/:itemId/images/:imageId - Remove an image from the gallery
+router.delete(
+  "/:itemId/images/:imageId",
+  authenticateToken,
+  requirePermission("item:update", ownership.item),
+  removeItemImage
+);
+
+// POST /api/items/:itemId/sell - Sell an item (owner and admins)
+router.post(
+  "/:itemId/sell",
+  authenticateToken,
+  requirePermission("item:sell", ownership.item),
+  validateSellItem,
+  sellItem
+);
 
-// GET /api/items/sold/seller/:sellerId - Get sold items by seller
-router.get("/sold/seller/:sellerId", getSoldItemsBySeller);
+// GET /api/items/sold/seller/:sellerId - Get sold items by seller (that seller, moderators and admins)
+router.get(
+  "/sold/seller/:sellerId",
+  authenticateToken,
+  requirePermission("order:view", ownership.sellerOrders),
+  getSoldItemsBySeller
+);
 
-// GET /api/items/sold/buyer/:buyerId - Get sold items by buyer
-router.get("/sold/buyer/:buyerId", getSoldItemsByBuyer);
+// GET /api/items/sold/buyer/:buyerId - Get sold items by buyer (that buyer, moderators and admins)
+router.get(
+  "/sold/buyer/:buyerId",
+  authenticateToken,
+  requirePermission("order:view", ownership.buyerOrders),
+  getSoldItemsByBuyer
+);
 
 module.exports = router;
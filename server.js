@@ -5,9 +5,30 @@ const cors = require("cors");
 
 const { connectDB, closeConnection } = require("./db/connect");
 const errorHandler = require("./middleware/errorHandler");
+const retentionService = require("./services/retentionService");
+const expiryService = require("./services/expiryService");
+const categoryService = require("./services/categoryService");
+const speciesService = require("./services/speciesService");
+const Cart = require("./models/Cart");
 
 const app = express();
 
+// Set TRUST_PROXY when behind a reverse proxy so per-IP limits see the
+// client IP: a hop count (e.g. 1), "true", or proxy addresses/subnets.
+// Off by default, since trusting X-Forwarded-For without a proxy lets
+// clients pick their own IP.
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy && trustProxy !== "false") {
+  app.set(
+    "trust proxy",
+    trustProxy === "true"
+      ? true
+      : /^\d+$/.test(trustProxy)
+      ? parseInt(trustProxy)
+      : trustProxy
+  );
+}
+
 // Middleware
 app.use(
   cors({
@@ -82,6 +103,7 @@ app.get("/api/health", (req, res) => {
 app.use("/api/auth", require("./routes/auth"));
 app.use("/api/items", require("./routes/items"));
 app.use("/api/cart", require("./routes/cart"));
+app.use("/api/admin", require("./routes/admin"));
 
 app.use(errorHandler);
 
@@ -93,6 +115,41 @@ const start = async () => {
     await connectDB(process.env.MONGODB_URI);
     console.log("Database connection established successfully!");
 
+    // Purge abandoned signups and expired OTPs periodically
+    retentionService.start();
+
+    // Take down listings past their category's shelf life
+    expiryService.start();
+
+    // Categorise listings created before categories existed
+    categoryService
+      .migrateItemTypes()
+      .then((result) => {
+        if (result.itemsMigrated || result.soldItemsMigrated) {
+          console.log("Category migration:", result);
+        }
+      })
+      .catch((error) => {
+        console.error("Category migration failed:", error.message);
+      });
+
+    // Tag listings created before species tagging; only changed ones are written
+    speciesService
+      .retagItems()
+      .then((retagged) => {
+        if (retagged) {
+          console.log("Species backfill: retagged", retagged, "listings");
+        }
+      })
+      .catch((error) => {
+        console.error("Species backfill failed:", error.message);
+      });
+
+    // Replace the old one-entry-per-item cart index with the per-variant one
+    Cart.syncIndexes().catch((error) => {
+      console.error("Cart index sync failed:", error.message);
+    });
+
     const server = app.listen(process.env.PORT, () => {
       console.log(`Server is running on port ${process.env.PORT}`);
       console.log("Server startup completed successfully!");
@@ -114,6 +171,8 @@ const start = async () => {
 
     process.on("SIGTERM", async () => {
       console.log("SIGTERM received, closing server gracefully...");
+      retentionService.stop();
+      expiryService.stop();
       server.close(async () => {
         await closeConnection();
         process.exit(0);
@@ -122,6 +181,8 @@ const start = async () => {
 
     process.on("SIGINT", async () => {
       console.log("SIGINT received, closing server gracefully...");
+      retentionService.stop();
+      expiryService.stop();
       server.close(async () => {
         await closeConnection();
         process.exit(0);
@@ -0,0 +1,129 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const Account = require("../models/Accounts");
+const Cart = require("../models/Cart");
+const Item = require("../models/Item");
+const SoldItem = require("../models/SoldItem");
+const RefreshToken = require("../models/RefreshToken");
+const LoginAttempt = require("../models/LoginAttempt");
+const OtpRequest = require("../models/OtpRequest");
+const AuditEvent = require("../models/AuditEvent");
+const tokenService = require("./tokenService");
+
+// Secrets and internal bookkeeping that are not personal data about the user
+const EXCLUDED_ACCOUNT_FIELDS =
+  "-password -otp -tokenVersion -twoFactor.totpSecret -twoFactor.pendingSecret -twoFactor.recoveryCodes";
+
+class AccountDataService {
+  /**
+   * Collect everything stored about an account (data subject access request)
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Object>} - Plain JSON-ready export
+   */
+  async exportAccountData(accountId) {
+    const account = await Account.findById(accountId).select(
+      EXCLUDED_ACCOUNT_FIELDS
+    );
+
+    const [
+      cart,
+      purchases,
+      sales,
+      listings,
+      sessions,
+      loginAttempts,
+      auditEvents,
+    ] = await Promise.all([
+      Cart.find({ user: accountId }).lean(),
+      SoldItem.find({ buyer: accountId }).sort({ saleDate: -1 }).lean(),
+      SoldItem.find({ seller: accountId }).sort({ saleDate: -1 }).lean(),
+      Item.find({ seller: accountId }).sort({ createdAt: -1 }).lean(),
+      RefreshToken.find({ user: accountId })
+        .select("-tokenHash")
+        .sort({ createdAt: -1 })
+        .lean(),
+      LoginAttempt.find({ account: accountId }).sort({ createdAt: -1 }).lean(),
+      AuditEvent.find({ $or: [{ actor: accountId }, { target: accountId }] })
+        .sort({ createdAt: -1 })
+        .lean(),
+    ]);
+
+    return {
+      exportedAt: new Date(),
+      account: account ? account.toObject() : null,
+      cart,
+      purchases,
+      sales,
+      listings,
+      sessions,
+      loginAttempts,
+      auditEvents,
+    };
+  }
+
+  /**
+   * Anonymise an account's personal data while keeping SoldItem financial
+   * fields (price, quantity, totals, dates) for bookkeeping. The account
+   * document stays so sale records keep a valid reference.
+   * @param {Object} account - Account document
+   */
+  async anonymiseAccount(account) {
+    const placeholder = `deleted_${account._id}`;
+    const unusablePassword = await bcrypt.hash(
+      crypto.randomBytes(32).toString("hex"),
+      10
+    );
+    const previousContactNo = account.contactNo;
+
+    // End sessions first so nothing can act on the account mid-deletion
+    await tokenService.revokeAllSessions(account);
+
+    // updateOne skips schema validators on purpose: the placeholders are not
+    // valid emails/phone numbers, which keeps them from ever matching a login
+    await Account.updateOne(
+      { _id: account._id },
+      {
+        $set: {
+          firstName: "Deleted",
+          lastName: "User",
+          username: placeholder,
+          email: `${placeholder}@deleted.invalid`,
+          contactNo: placeholder,
+          address: "",
+          password: unusablePassword,
+          isVerified: false,
+          deletedAt: new Date(),
+        },
+        $unset: {
+          dateOfBirth: "",
+          addresses: "",
+          store: "",
+          sellerApplication: "",
+          otp: "",
+          twoFactor: "",
+          suspensionReason: "",
+        },
+      }
+    );
+
+    await Promise.all([
+      Cart.deleteMany({ user: account._id }),
+      Item.updateMany({ seller: account._id }, { isActive: false }),
+      // Free-text notes may mention the person; amounts and dates are kept
+      SoldItem.updateMany(
+        { $or: [{ buyer: account._id }, { seller: account._id }] },
+        { $unset: { notes: "" } }
+      ),
+      RefreshToken.deleteMany({ user: account._id }),
+      LoginAttempt.deleteMany({ account: account._id }),
+      OtpRequest.deleteMany({ contactNo: previousContactNo }),
+      // Events stay as a security record, without network details or values
+      AuditEvent.updateMany(
+        { $or: [{ actor: account._id }, { target: account._id }] },
+        { $unset: { ip: "", userAgent: "", identifier: "", metadata: "" } }
+      ),
+    ]);
+  }
+}
+
+module.exports = new AccountDataService();
@@ -0,0 +1,39 @@
+const AuditEvent = require("../models/AuditEvent");
+
+/**
+ * Accept either a document or an id
+ */
+const idOf = (value) => (value && value._id ? value._id : value);
+
+class AuditService {
+  /**
+   * Record an audit event for a request. Errors are logged, never thrown,
+   * so a failed write cannot break the action being audited.
+   * @param {Object} req - Express request (IP, user agent, req.user as default actor)
+   * @param {Object} event - { action, outcome, actor, target, identifier, reason, metadata }
+   */
+  async record(
+    req,
+    { action, outcome = "success", actor, target, identifier, reason, metadata }
+  ) {
+    try {
+      const actorId = idOf(actor) || (req.user ? req.user._id : undefined);
+
+      await AuditEvent.create({
+        action,
+        outcome,
+        actor: actorId,
+        target: idOf(target) || actorId,
+        identifier,
+        ip: req.ip,
+        userAgent: req.get("user-agent"),
+        reason,
+        metadata,
+      });
+    } catch (error) {
+      console.error(`Failed to record audit event ${action}:`, error.message);
+    }
+  }
+}
+
+module.exports = new AuditService();
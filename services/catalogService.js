@@ -0,0 +1,514 @@
+const mongoose = require("mongoose");
+const Item = require("../models/Item");
+const speciesService = require("./speciesService");
+const categoryService = require("./categoryService");
+const paginationService = require("./paginationService");
+const unitService = require("./unitService");
+const { BadRequestError } = require("../errors");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const SELLER_FIELDS = "firstName lastName username email contactNo address";
+
+const SORT_FIELDS = [
+  "relevance",
+  "distance",
+  "catchDate",
+  "itemPrice",
+  "pricePerKg",
+  "itemName",
+  // Still accepted from before the catalog search
+  "createdAt",
+  "updatedAt",
+  "quantity",
+];
+
+// Lower bounds of the price facet buckets (₱); the last one is open-ended
+const PRICE_BOUNDARIES = [0, 100, 250, 500, 1000];
+
+const LOCATION_FACET_LIMIT = 20;
+
+// Same radius MongoDB uses for $centerSphere conversions
+const EARTH_RADIUS_KM = 6378.1;
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 200;
+
+/**
+ * Query values may be repeated (?unit=kg&unit=pieces); always get an array
+ */
+const listParam = (value) =>
+  value === undefined || value === "" ? [] : [].concat(value).map(String);
+
+/**
+ * Parse an optional number query parameter
+ */
+const numberParam = (value, name) => {
+  if (value === undefined || value === "") return undefined;
+
+  const parsed = parseFloat(value);
+  if (Number.isNaN(parsed)) {
+    throw new BadRequestError(`${name} must be a number`);
+  }
+  return parsed;
+};
+
+/**
+ * Parse an optional date query parameter
+ */
+const dateParam = (value, name) => {
+  if (value === undefined || value === "") return undefined;
+
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime())) {
+    throw new BadRequestError(`${name} must be a valid date`);
+  }
+  return parsed;
+};
+
+/**
+ * Parse `near=lat,lng`
+ * @returns {Object|undefined} - { lat, lng }
+ */
+const pointParam = (value) => {
+  if (value === undefined || value === "") return undefined;
+
+  const [lat, lng, ...rest] = String(value).split(",").map(Number);
+  if (
+    rest.length > 0 ||
+    !(lat >= -90 && lat <= 90) ||
+    !(lng >= -180 && lng <= 180)
+  ) {
+    throw new BadRequestError(
+      "near must be latitude,longitude, e.g. near=13.94,121.62"
+    );
+  }
+  return { lat, lng };
+};
+
+class CatalogService {
+  /**
+   * catchDate range of a freshness band, mirroring the isFresh virtual
+   */
+  freshnessRange(band, now) {
+    const bands = Item.FRESHNESS_BANDS;
+    const index = bands.indexOf(band);
+    const range = {};
+
+    if (Number.isFinite(band.maxHours)) {
+      range.$gte = new Date(now.getTime() - band.maxHours * HOUR_MS);
+    }
+    if (index > 0) {
+      range.$lt = new Date(now.getTime() - bands[index - 1].maxHours * HOUR_MS);
+    }
+    return range;
+  }
+
+  /**
+   * Turn catalog query parameters into a base filter, applied before
+   * faceting, and one clause per faceted dimension
+   * @returns {Promise<Object>} - { match, clauses, searchText, origin }
+   */
+  async buildFilters(query, now = new Date()) {
+    const match = { isActive: true };
+    const clauses = {};
+
+    if (query.seller) {
+      if (!mongoose.isValidObjectId(query.seller)) {
+        throw new BadRequestError("Invalid seller ID");
+      }
+      match.seller = new mongoose.Types.ObjectId(String(query.seller));
+    }
+
+    const species = listParam(query.species);
+    if (species.length > 0) {
+      match.speciesKey = { $in: species };
+    }
+
+    // Text search: words are OR-ed, "quoted phrases" must match and
+    // -word excludes. Input is never interpreted as a regex. Local names
+    // are expanded through the species dictionary.
+    const searchText = listParam(query.search).join(" ").trim();
+    if (searchText) {
+      match.$text = { $search: await speciesService.expandSearch(searchText) };
+    }
+
+    // "Near me": listings with coordinates within the radius. $geoWithin
+    // rather than $geoNear, which must be the first stage and rules out
+    // combining it with a text search.
+    const origin = pointParam(query.near);
+    if (origin) {
+      const radiusKm =
+        numberParam(query.radiusKm, "radiusKm") ?? DEFAULT_RADIUS_KM;
+      if (radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+        throw new BadRequestError(
+          `radiusKm must be greater than 0 and at most ${MAX_RADIUS_KM}`
+        );
+      }
+
+      match.geoLocation = {
+        $geoWithin: {
+          $centerSphere: [[origin.lng, origin.lat], radiusKm / EARTH_RADIUS_KM],
+        },
+      };
+    } else if (query.radiusKm !== undefined) {
+      throw new BadRequestError("radiusKm requires near");
+    }
+
+    const caughtFrom = dateParam(query.caughtFrom, "caughtFrom");
+    const caughtTo = dateParam(query.caughtTo, "caughtTo");
+    if (caughtFrom || caughtTo) {
+      match.catchDate = {};
+      if (caughtFrom) match.catchDate.$gte = caughtFrom;
+      if (caughtTo) match.catchDate.$lte = caughtTo;
+    }
+
+    // A category also matches listings in its subcategories
+    const categories = listParam(query.category);
+    if (categories.length > 0) {
+      clauses.category = {
+        categoryPath: { $in: await categoryService.idsForSlugs(categories) },
+      };
+    }
+
+    const itemTypes = listParam(query.itemType);
+    if (itemTypes.length > 0) {
+      clauses.itemType = { itemType: { $in: itemTypes } };
+    }
+
+    const units = listParam(query.unit);
+    if (units.length > 0) {
+      clauses.unit = { unit: { $in: units } };
+    }
+
+    const locations = listParam(query.location);
+    if (locations.length > 0) {
+      clauses.location = { location: { $in: locations } };
+    }
+
+    // Price bands are [minPrice, maxPrice) so adjacent chips never overlap
+    const minPrice = numberParam(query.minPrice, "minPrice");
+    const maxPrice = numberParam(query.maxPrice, "maxPrice");
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      const itemPrice = {};
+      if (minPrice !== undefined) itemPrice.$gte = minPrice;
+      if (maxPrice !== undefined) itemPrice.$lt = maxPrice;
+      clauses.price = { itemPrice };
+    }
+
+    const freshness = listParam(query.freshness);
+    if (freshness.length > 0) {
+      const bands = Item.FRESHNESS_BANDS.filter((band) =>
+        freshness.includes(band.key)
+      );
+      if (bands.length !== freshness.length) {
+        throw new BadRequestError(
+          `Freshness must be one of: ${Item.FRESHNESS_BANDS.map(
+            (band) => band.key
+          ).join(", ")}`
+        );
+      }
+
+      clauses.freshness = {
+        itemType: "fish",
+        $or: bands.map((band) => ({
+          catchDate: this.freshnessRange(band, now),
+        })),
+      };
+    }
+
+    if (query.inStock === "true") {
+      clauses.inStock = { quantity: { $gt: 0 } };
+    }
+
+    return { match, clauses, searchText, origin };
+  }
+
+  /**
+   * Great-circle distance in km from the origin to a listing's point,
+   * rounded to 10 m
+   */
+  distanceExpression(origin) {
+    const toRadians = (degrees) => (degrees * Math.PI) / 180;
+    const lat = {
+      $degreesToRadians: { $arrayElemAt: ["$geoLocation.coordinates", 1] },
+    };
+    const lng = {
+      $degreesToRadians: { $arrayElemAt: ["$geoLocation.coordinates", 0] },
+    };
+
+    // Spherical law of cosines, clamped against rounding outside [-1, 1]
+    const cosine = {
+      $add: [
+        { $multiply: [Math.sin(toRadians(origin.lat)), { $sin: lat }] },
+        {
+          $multiply: [
+            Math.cos(toRadians(origin.lat)),
+            { $cos: lat },
+            { $cos: { $subtract: [lng, toRadians(origin.lng)] } },
+          ],
+        },
+      ],
+    };
+
+    return {
+      $round: [
+        {
+          $multiply: [
+            EARTH_RADIUS_KM,
+            { $acos: { $min: [1, { $max: [-1, cosine] }] } },
+          ],
+        },
+        2,
+      ],
+    };
+  }
+
+  /**
+   * $match stage for every faceted clause except the one being counted, so
+   * a facet shows what picking another value would return
+   */
+  clauseStage(clauses, except) {
+    const selected = Object.entries(clauses)
+      .filter(([dimension]) => dimension !== except)
+      .map(([, clause]) => clause);
+
+    return { $match: selected.length > 0 ? { $and: selected } : {} };
+  }
+
+  /**
+   * Facet branches of the catalog aggregation
+   */
+  facetPipelines(clauses, now) {
+    const countBy = (field) => [
+      { $match: { [field]: { $nin: [null, ""] } } },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+    ];
+
+    // Bucket boundaries must ascend: the oldest band edge comes first
+    const freshnessEdges = Item.FRESHNESS_BANDS.filter((band) =>
+      Number.isFinite(band.maxHours)
+    )
+      .map((band) => new Date(now.getTime() - band.maxHours * HOUR_MS))
+      .reverse();
+
+    return {
+      // Counted at every level of the path, so a parent includes its subtree
+      category: [
+        this.clauseStage(clauses, "category"),
+        { $unwind: "$categoryPath" },
+        { $group: { _id: "$categoryPath", count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+      ],
+      itemType: [this.clauseStage(clauses, "itemType"), ...countBy("itemType")],
+      unit: [this.clauseStage(clauses, "unit"), ...countBy("unit")],
+      location: [
+        this.clauseStage(clauses, "location"),
+        ...countBy("location"),
+        { $limit: LOCATION_FACET_LIMIT },
+      ],
+      price: [
+        this.clauseStage(clauses, "price"),
+        {
+          $bucket: {
+            groupBy: "$itemPrice",
+            boundaries: [...PRICE_BOUNDARIES, Number.MAX_VALUE],
+            default: "other",
+          },
+        },
+      ],
+      freshness: [
+        this.clauseStage(clauses, "freshness"),
+        { $match: { itemType: "fish" } },
+        {
+          $bucket: {
+            groupBy: "$catchDate",
+            boundaries: [...freshnessEdges, new Date(8.64e15)],
+            default: "oldest",
+          },
+        },
+      ],
+      inStock: [
+        this.clauseStage(clauses, "inStock"),
+        { $match: { quantity: { $gt: 0 } } },
+        { $count: "count" },
+      ],
+    };
+  }
+
+  /**
+   * Shape raw facet buckets for filter chips
+   */
+  formatFacets(raw, now, categories) {
+    const values = (buckets) =>
+      buckets.map((bucket) => ({ value: bucket._id, count: bucket.count }));
+
+    const category = raw.category
+      .map((bucket) => {
+        const match = categories.find((candidate) =>
+          candidate._id.equals(bucket._id)
+        );
+        if (!match) return null;
+
+        const parent = categories.find(
+          (candidate) => match.parent && candidate._id.equals(match.parent)
+        );
+        return {
+          value: match.slug,
+          name: match.name,
+          parent: parent ? parent.slug : null,
+          count: bucket.count,
+        };
+      })
+      .filter(Boolean);
+
+    const price = raw.price
+      .filter((bucket) => bucket._id !== "other")
+      .map((bucket) => {
+        const index = PRICE_BOUNDARIES.indexOf(bucket._id);
+        return {
+          min: bucket._id,
+          max: PRICE_BOUNDARIES[index + 1] || null,
+          count: bucket.count,
+        };
+      });
+
+    // Every band is listed, freshest first, including empty ones
+    const freshness = Item.FRESHNESS_BANDS.map((band) => {
+      const range = this.freshnessRange(band, now);
+      const bucket = raw.freshness.find((candidate) =>
+        range.$gte
+          ? candidate._id instanceof Date &&
+            candidate._id.getTime() === range.$gte.getTime()
+          : candidate._id === "oldest"
+      );
+
+      return {
+        value: band.key,
+        label: band.label,
+        count: bucket ? bucket.count : 0,
+      };
+    });
+
+    return {
+      category,
+      itemType: values(raw.itemType),
+      unit: values(raw.unit),
+      location: values(raw.location),
+      price,
+      freshness,
+      inStock: raw.inStock.length > 0 ? raw.inStock[0].count : 0,
+    };
+  }
+
+  /**
+   * Search active listings: one aggregation returns the requested page,
+   * the total and the facet counts
+   * @param {Object} pagination - Parsed by paginationService.parse
+   * @returns {Promise<Object>} - { items, pagination, facets }
+   */
+  async search(query, pagination) {
+    const now = new Date();
+    const { match, clauses, searchText, origin } = await this.buildFilters(
+      query,
+      now
+    );
+
+    const sortBy =
+      query.sortBy ||
+      (origin ? "distance" : searchText ? "relevance" : "catchDate");
+    if (!SORT_FIELDS.includes(sortBy)) {
+      throw new BadRequestError(
+        `sortBy must be one of: ${SORT_FIELDS.join(", ")}`
+      );
+    }
+    if (sortBy === "relevance" && !searchText) {
+      throw new BadRequestError("Sorting by relevance requires a search");
+    }
+    if (sortBy === "distance" && !origin) {
+      throw new BadRequestError("Sorting by distance requires near");
+    }
+
+    // "Near me" results are nearest first and searches rank by relevance,
+    // unless another sort is requested
+    const direction = query.sortOrder === "asc" ? 1 : -1;
+    // Listings sold by the piece have no per-kg price and go last either way
+    const sort =
+      sortBy === "relevance"
+        ? { score: -1, catchDate: -1, _id: -1 }
+        : sortBy === "distance"
+        ? { distanceKm: 1, _id: 1 }
+        : sortBy === "pricePerKg"
+        ? { noPricePerKg: 1, pricePerKg: direction, _id: direction }
+        : { [sortBy]: direction, _id: direction };
+
+    const pipeline = [{ $match: match }];
+    if (searchText) {
+      pipeline.push({ $addFields: { score: { $meta: "textScore" } } });
+    }
+    if (origin) {
+      pipeline.push({
+        $addFields: { distanceKm: this.distanceExpression(origin) },
+      });
+    }
+    if (sortBy === "pricePerKg") {
+      // Sort keys stay non-null so they can go into a cursor; the response
+      // still shows null through the pricePerKg virtual
+      pipeline.push(
+        { $addFields: { pricePerKg: unitService.pricePerKgExpression() } },
+        {
+          $addFields: {
+            noPricePerKg: { $cond: [{ $eq: ["$pricePerKg", null] }, 1, 0] },
+            pricePerKg: { $ifNull: ["$pricePerKg", 0] },
+          },
+        }
+      );
+    }
+
+    // Cursor mode fetches one extra item to learn whether more follow
+    const after = paginationService.after(pagination.cursor, sort);
+    const window = pagination.useCursor
+      ? [...(after ? [{ $match: after }] : []), { $sort: sort }]
+      : [{ $sort: sort }, { $skip: pagination.skip }];
+    const limit = pagination.limit + (pagination.useCursor ? 1 : 0);
+
+    pipeline.push({
+      $facet: {
+        results: [this.clauseStage(clauses), ...window, { $limit: limit }],
+        total: [this.clauseStage(clauses), { $count: "count" }],
+        ...this.facetPipelines(clauses, now),
+      },
+    });
+
+    const [raw] = await Item.aggregate(pipeline);
+    const totalItems = raw.total.length > 0 ? raw.total[0].count : 0;
+
+    const page = pagination.useCursor
+      ? paginationService.cursorPage(raw.results, pagination, sort)
+      : {
+          items: raw.results,
+          pagination: {
+            currentPage: pagination.page,
+            totalPages: Math.ceil(totalItems / pagination.limit),
+            totalItems,
+            itemsPerPage: pagination.limit,
+          },
+        };
+
+    // Hydrate so responses keep the virtuals and populated seller of find()
+    const items = page.items.map((doc) => Item.hydrate(doc));
+    await Item.populate(items, { path: "seller", select: SELLER_FIELDS });
+
+    return {
+      items,
+      pagination: { totalItems, ...page.pagination },
+      facets: this.formatFacets(
+        raw,
+        now,
+        await categoryService.getCategories()
+      ),
+    };
+  }
+}
+
+module.exports = new CatalogService();
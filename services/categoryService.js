@@ -0,0 +1,330 @@
+const Category = require("../models/Category");
+const Item = require("../models/Item");
+const SoldItem = require("../models/SoldItem");
+const { DEFAULT_CATEGORIES } = require("../config/categories");
+const { BadRequestError, ConflictError, NotFoundError } = require("../errors");
+
+const CACHE_TTL_MS = 60 * 1000;
+
+class CategoryService {
+  constructor() {
+    this.cached = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * Get every category, loading the default tree into an empty collection.
+   * Cached briefly because item validation and catalog filters read it.
+   */
+  async getCategories() {
+    if (this.cached && Date.now() - this.cachedAt < CACHE_TTL_MS) {
+      return this.cached;
+    }
+
+    if ((await Category.estimatedDocumentCount()) === 0) {
+      await this.seedDefaults(DEFAULT_CATEGORIES);
+    }
+
+    this.cached = await Category.find().sort({ name: 1 }).lean();
+    this.cachedAt = Date.now();
+    return this.cached;
+  }
+
+  /**
+   * Drop the cached categories after an edit
+   */
+  invalidate() {
+    this.cached = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * Insert missing categories of a tree; existing slugs are left alone
+   */
+  async seedDefaults(nodes, parent = null) {
+    for (const { children = [], ...node } of nodes) {
+      const category = await Category.findOneAndUpdate(
+        { slug: node.slug },
+        {
+          $setOnInsert: {
+            ...node,
+            parent: parent ? parent._id : null,
+            ancestors: parent ? [...parent.ancestors, parent._id] : [],
+          },
+        },
+        { upsert: true, new: true }
+      );
+      await this.seedDefaults(children, category);
+    }
+  }
+
+  /**
+   * Category fields stored on a listing: the category, its path from the
+   * root (for subtree filtering) and the root slug, which doubles as the
+   * legacy `itemType`
+   * @returns {Promise<Object>} - { category, categoryPath, itemType }
+   */
+  async classify(slug) {
+    const categories = await this.getCategories();
+    const category = categories.find((candidate) => candidate.slug === slug);
+
+    if (!category) {
+      throw new BadRequestError(`Unknown category '${slug}'`);
+    }
+
+    const rootId = category.ancestors.length
+      ? category.ancestors[0]
+      : category._id;
+    const root = categories.find((candidate) => candidate._id.equals(rootId));
+
+    return {
+      category: category._id,
+      categoryPath: [...category.ancestors, category._id],
+      itemType: root.slug,
+    };
+  }
+
+  /**
+   * Ids for category slugs; listings match a slug through their
+   * categoryPath, which includes every subcategory
+   */
+  async idsForSlugs(slugs) {
+    const categories = await this.getCategories();
+
+    return slugs.map((slug) => {
+      const category = categories.find((candidate) => candidate.slug === slug);
+      if (!category) {
+        throw new BadRequestError(`Unknown category '${slug}'`);
+      }
+      return category._id;
+    });
+  }
+
+  /**
+   * Categories as a nested tree for menus
+   */
+  async getTree() {
+    const categories = await this.getCategories();
+
+    const build = (parentId) =>
+      categories
+        .filter((category) =>
+          parentId ? parentId.equals(category.parent) : !category.parent
+        )
+        .map((category) => ({
+          _id: category._id,
+          slug: category.slug,
+          name: category.name,
+          children: build(category._id),
+        }));
+
+    return build(null);
+  }
+
+  /**
+   * Resolve a parent slug (null for a root category)
+   */
+  async findParent(parentSlug) {
+    if (!parentSlug) return null;
+
+    const parent = await Category.findOne({ slug: parentSlug });
+    if (!parent) {
+      throw new BadRequestError(`Unknown parent category '${parentSlug}'`);
+    }
+    return parent;
+  }
+
+  /**
+   * Reject a slug already used by another category
+   */
+  async assertSlugAvailable(slug, categoryId = null) {
+    const existing = await Category.exists({
+      slug,
+      _id: { $ne: categoryId },
+    });
+
+    if (existing) {
+      throw new ConflictError(`Category slug '${slug}' already exists`);
+    }
+  }
+
+  /**
+   * Add a category, at the root or under `parent` (a slug)
+   */
+  async createCategory(
+    { slug, name, parent: parentSlug, shelfLifeHours, expiryAction },
+    adminId
+  ) {
+    // Make sure the defaults are in place before the first manual entry
+    await this.getCategories();
+    await this.assertSlugAvailable(slug);
+
+    const parent = await this.findParent(parentSlug);
+    const category = await Category.create({
+      slug,
+      name,
+      parent: parent ? parent._id : null,
+      ancestors: parent ? [...parent.ancestors, parent._id] : [],
+      shelfLifeHours,
+      expiryAction,
+      updatedBy: adminId,
+    });
+
+    this.invalidate();
+    return category;
+  }
+
+  /**
+   * Rename a category or move it (with its subtree) under another parent;
+   * `parent: null` makes it a root. Listings below it are re-synced.
+   * @returns {Promise<Object>} - { category, listingsUpdated }
+   */
+  async updateCategory(categoryId, changes, adminId) {
+    const category = await Category.findById(categoryId);
+    if (!category) {
+      throw new NotFoundError("Category not found");
+    }
+
+    if (changes.slug !== undefined && changes.slug !== category.slug) {
+      await this.assertSlugAvailable(changes.slug, category._id);
+      category.slug = changes.slug;
+    }
+    if (changes.name !== undefined) {
+      category.name = changes.name;
+    }
+    // Null returns the shelf-life policy to the parent's
+    if (changes.shelfLifeHours !== undefined) {
+      category.shelfLifeHours = changes.shelfLifeHours;
+    }
+    if (changes.expiryAction !== undefined) {
+      category.expiryAction = changes.expiryAction;
+    }
+
+    if (changes.parent !== undefined) {
+      const parent = await this.findParent(changes.parent);
+
+      if (
+        parent &&
+        (parent._id.equals(category._id) ||
+          parent.ancestors.some((id) => id.equals(category._id)))
+      ) {
+        throw new BadRequestError(
+          "A category cannot be moved under itself or its subcategories"
+        );
+      }
+
+      category.parent = parent ? parent._id : null;
+      category.ancestors = parent ? [...parent.ancestors, parent._id] : [];
+    }
+
+    category.updatedBy = adminId;
+    await category.save();
+
+    // Subcategories keep their path below this category
+    const descendants = await Category.find({ ancestors: category._id });
+    for (const descendant of descendants) {
+      const below = descendant.ancestors.slice(
+        descendant.ancestors.findIndex((id) => id.equals(category._id)) + 1
+      );
+      descendant.ancestors = [...category.ancestors, category._id, ...below];
+      await descendant.save();
+    }
+
+    this.invalidate();
+    const listingsUpdated = await this.syncItems([category, ...descendants]);
+
+    return { category, listingsUpdated };
+  }
+
+  /**
+   * Delete a category without subcategories or listings
+   */
+  async deleteCategory(categoryId) {
+    const category = await Category.findById(categoryId);
+    if (!category) {
+      throw new NotFoundError("Category not found");
+    }
+
+    if (await Category.exists({ parent: category._id })) {
+      throw new ConflictError(
+        "Category has subcategories. Move or delete them first."
+      );
+    }
+    if (await Item.exists({ category: category._id })) {
+      throw new ConflictError(
+        "Category still has listings. Move them to another category first."
+      );
+    }
+
+    await category.deleteOne();
+    this.invalidate();
+    return category;
+  }
+
+  /**
+   * Rewrite categoryPath and itemType of listings in these categories
+   * @returns {Promise<number>} - Number of listings changed
+   */
+  async syncItems(categories) {
+    let modified = 0;
+
+    for (const category of categories) {
+      const { categoryPath, itemType } = await this.classify(category.slug);
+      const result = await Item.updateMany(
+        { category: category._id },
+        { categoryPath, itemType }
+      );
+      modified += result.modifiedCount;
+    }
+
+    return modified;
+  }
+
+  /**
+   * Assign a category to listings and sales recorded before categories
+   * existed, using their `itemType` (which becomes a root category if
+   * needed). Safe to run repeatedly.
+   * @returns {Promise<Object>} - { itemsMigrated, soldItemsMigrated }
+   */
+  async migrateItemTypes() {
+    const legacy = { category: { $exists: false } };
+    const itemTypes = [
+      ...new Set([
+        ...(await Item.distinct("itemType", legacy)),
+        ...(await SoldItem.distinct("itemType", legacy)),
+      ]),
+    ].filter(Boolean);
+
+    await this.getCategories();
+    await this.seedDefaults(
+      itemTypes.map((slug) => ({
+        slug,
+        name: slug.charAt(0).toUpperCase() + slug.slice(1),
+      }))
+    );
+    this.invalidate();
+
+    let itemsMigrated = 0;
+    let soldItemsMigrated = 0;
+
+    for (const slug of itemTypes) {
+      const { category, categoryPath, itemType } = await this.classify(slug);
+
+      const items = await Item.updateMany(
+        { ...legacy, itemType: slug },
+        { category, categoryPath, itemType }
+      );
+      const soldItems = await SoldItem.updateMany(
+        { ...legacy, itemType: slug },
+        { category }
+      );
+
+      itemsMigrated += items.modifiedCount;
+      soldItemsMigrated += soldItems.modifiedCount;
+    }
+
+    return { itemsMigrated, soldItemsMigrated };
+  }
+}
+
+module.exports = new CategoryService();
@@ -0,0 +1,249 @@
+const Item = require("../models/Item");
+const Cart = require("../models/Cart");
+const categoryService = require("./categoryService");
+const philsmsService = require("./philsmsService");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Parse an integer setting; unlike `parseInt(x) || fallback`, 0 is kept
+ */
+const readInt = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const DEFAULTS = {
+  // Hours before expiry that sellers are warned by SMS (0 disables)
+  warningHours: readInt(process.env.EXPIRY_WARNING_HOURS, 12),
+  // Minutes between scheduled sweeps (0 disables the schedule)
+  sweepIntervalMinutes: readInt(process.env.EXPIRY_SWEEP_INTERVAL_MINUTES, 30),
+};
+
+class ExpiryService {
+  constructor() {
+    this.options = { ...DEFAULTS };
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Override expiry settings (e.g. in tests)
+   * @param {Object} options - { warningHours, sweepIntervalMinutes }
+   */
+  configure(options = {}) {
+    this.options = { ...this.options, ...options };
+    return this.options;
+  }
+
+  /**
+   * Effective shelf-life policy of every category: its own values, or the
+   * nearest ancestor's. Categories without one are left out.
+   * @returns {Promise<Array>} - [{ category, shelfLifeHours, expiryAction }]
+   */
+  async policies() {
+    const categories = await categoryService.getCategories();
+    const byId = new Map(
+      categories.map((category) => [category._id.toString(), category])
+    );
+
+    return categories
+      .map((category) => {
+        // Nearest first: the category itself, then its parent, and so on
+        const lineage = [
+          category,
+          ...[...category.ancestors]
+            .reverse()
+            .map((id) => byId.get(id.toString()))
+            .filter(Boolean),
+        ];
+        const nearest = (field) => {
+          const source = lineage.find((entry) => entry[field] != null);
+          return source ? source[field] : null;
+        };
+
+        return {
+          category: category._id,
+          shelfLifeHours: nearest("shelfLifeHours"),
+          expiryAction: nearest("expiryAction") || "deactivate",
+        };
+      })
+      .filter((policy) => policy.shelfLifeHours != null);
+  }
+
+  /**
+   * Live listings of a category caught before `caughtBefore`
+   */
+  liveListingFilter(policy, caughtBefore) {
+    return {
+      category: policy.category,
+      isActive: true,
+      expiredAt: null,
+      catchDate: { $lt: caughtBefore },
+    };
+  }
+
+  /**
+   * Text a seller about listings nearing the end of their shelf life
+   */
+  warningMessage(items) {
+    const names = items.map((item) => item.itemName).join(", ");
+    return `Coast2Cart: ${names} will pass ${
+      items.length === 1 ? "its" : "their"
+    } shelf life within ${
+      this.options.warningHours
+    } hours. Update the catch date if you restock.`;
+  }
+
+  /**
+   * Warn sellers, one SMS each, about listings expiring within the warning
+   * window. Listings are only marked warned once their SMS went out, so
+   * failed messages are retried on the next sweep.
+   * @returns {Promise<Object>} - { sellersWarned, listingsWarned }
+   */
+  async warnSellers(policies, now = new Date()) {
+    const hours = this.options.warningHours;
+    if (hours <= 0) return { sellersWarned: 0, listingsWarned: 0 };
+
+    const bySeller = new Map();
+    for (const policy of policies) {
+      // Caught long enough ago to expire within the window
+      const caughtBefore = new Date(
+        now.getTime() - Math.max(policy.shelfLifeHours - hours, 0) * HOUR_MS
+      );
+      const items = await Item.find({
+        ...this.liveListingFilter(policy, caughtBefore),
+        expiryWarnedAt: null,
+      })
+        .select("itemName seller")
+        .populate("seller", "contactNo")
+        .lean();
+
+      items
+        .filter((item) => item.seller && item.seller.contactNo)
+        .forEach((item) => {
+          const key = item.seller._id.toString();
+          bySeller.set(key, [...(bySeller.get(key) || []), item]);
+        });
+    }
+
+    let sellersWarned = 0;
+    let listingsWarned = 0;
+    for (const items of bySeller.values()) {
+      const result = await philsmsService.sendMessage(
+        items[0].seller.contactNo,
+        this.warningMessage(items)
+      );
+      if (!result.success) continue;
+
+      await Item.updateMany(
+        { _id: { $in: items.map((item) => item._id) } },
+        { expiryWarnedAt: now }
+      );
+      sellersWarned += 1;
+      listingsWarned += items.length;
+    }
+
+    return { sellersWarned, listingsWarned };
+  }
+
+  /**
+   * Deactivate or flag listings past their shelf life, taking deactivated
+   * ones out of buyers' carts
+   * @returns {Promise<Object>} - { listingsDeactivated, listingsFlagged, cartEntriesRemoved }
+   */
+  async expireListings(policies, now = new Date()) {
+    const expired = { deactivate: [], flag: [] };
+
+    for (const policy of policies) {
+      const caughtBefore = new Date(
+        now.getTime() - policy.shelfLifeHours * HOUR_MS
+      );
+      const items = await Item.find(
+        this.liveListingFilter(policy, caughtBefore)
+      )
+        .select("_id")
+        .lean();
+
+      expired[policy.expiryAction].push(...items.map((item) => item._id));
+    }
+
+    if (expired.deactivate.length > 0) {
+      await Item.updateMany(
+        { _id: { $in: expired.deactivate } },
+        { expiredAt: now, isActive: false }
+      );
+    }
+    if (expired.flag.length > 0) {
+      await Item.updateMany({ _id: { $in: expired.flag } }, { expiredAt: now });
+    }
+
+    // Flagged listings stay buyable, so only deactivated ones leave carts
+    const carts =
+      expired.deactivate.length > 0
+        ? await Cart.deleteMany({ item: { $in: expired.deactivate } })
+        : { deletedCount: 0 };
+
+    return {
+      listingsDeactivated: expired.deactivate.length,
+      listingsFlagged: expired.flag.length,
+      cartEntriesRemoved: carts.deletedCount,
+    };
+  }
+
+  /**
+   * Run the shelf-life policy once: expire what is past its window, then
+   * warn about what is close to it
+   * @returns {Promise<Object>} - Counts from expireListings and warnSellers
+   */
+  async sweep(now = new Date()) {
+    const policies = await this.policies();
+
+    const expired = await this.expireListings(policies, now);
+    const warned = await this.warnSellers(policies, now);
+
+    return { ...expired, ...warned };
+  }
+
+  /**
+   * Sweep now, then on a schedule. A tick is skipped while the previous
+   * sweep is still running. Serverless deployments, where timers do not
+   * survive between requests, can call the admin sweep endpoint instead.
+   */
+  start() {
+    const minutes = this.options.sweepIntervalMinutes;
+    if (this.timer || minutes <= 0) return;
+
+    const run = async () => {
+      if (this.running) return;
+      this.running = true;
+      try {
+        const result = await this.sweep();
+        if (Object.values(result).some(Boolean)) {
+          console.log("Expiry sweep:", result);
+        }
+      } catch (error) {
+        console.error("Expiry sweep failed:", error.message);
+      } finally {
+        this.running = false;
+      }
+    };
+
+    this.timer = setInterval(run, minutes * 60 * 1000);
+
+    // Do not keep the process alive just for the sweeper
+    this.timer.unref();
+
+    run();
+  }
+
+  /**
+   * Stop the scheduled sweep
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new ExpiryService();
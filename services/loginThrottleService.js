@@ -0,0 +1,119 @@
+const LoginAttempt = require("../models/LoginAttempt");
+const { TooManyRequestsError } = require("../errors");
+
+const WINDOW_MINUTES = parseInt(process.env.LOGIN_WINDOW_MINUTES) || 15;
+const THROTTLE_AFTER = parseInt(process.env.LOGIN_THROTTLE_AFTER) || 3;
+const MAX_DELAY_SECONDS = parseInt(process.env.LOGIN_MAX_DELAY_SECONDS) || 60;
+const LOCKOUT_AFTER = parseInt(process.env.LOGIN_LOCKOUT_AFTER) || 10;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const MAX_FAILURES_PER_IP =
+  parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP) || 50;
+
+class LoginThrottleService {
+  /**
+   * Seconds to wait after `failures` consecutive failures: nothing for the
+   * first THROTTLE_AFTER, then doubling from 1s up to MAX_DELAY_SECONDS
+   * @param {number} failures - Consecutive failed attempts
+   * @returns {number} - Delay in seconds
+   */
+  delayFor(failures) {
+    if (failures < THROTTLE_AFTER) return 0;
+    return Math.min(2 ** (failures - THROTTLE_AFTER), MAX_DELAY_SECONDS);
+  }
+
+  /**
+   * Throw TooManyRequestsError (with a Retry-After hint) if this login
+   * attempt must wait. Failures count per identifier and, once the
+   * identifier resolves, per account, so switching between username,
+   * email and phone does not reset the counter.
+   * @param {Object} params - { identifier, account, ip }
+   */
+  async assertCanAttempt({ identifier, account, ip }) {
+    const now = Date.now();
+    const windowStart = new Date(now - WINDOW_MINUTES * 60 * 1000);
+    const lockoutStart = new Date(now - LOCKOUT_MINUTES * 60 * 1000);
+    // Look back far enough for both the throttle and the lockout rules
+    const since = windowStart < lockoutStart ? windowStart : lockoutStart;
+
+    const target = account
+      ? { $or: [{ identifier }, { account: account._id }] }
+      : { identifier };
+
+    // Only failures after the last successful login count
+    const lastSuccess = await LoginAttempt.findOne({
+      ...target,
+      success: true,
+      createdAt: { $gte: since },
+    }).sort({ createdAt: -1 });
+
+    const failures = await LoginAttempt.find({
+      ...target,
+      success: false,
+      createdAt: { $gte: lastSuccess ? lastSuccess.createdAt : since },
+    })
+      .sort({ createdAt: -1 })
+      .limit(LOCKOUT_AFTER);
+
+    if (failures.length >= LOCKOUT_AFTER) {
+      const lockedUntil =
+        failures[0].createdAt.getTime() + LOCKOUT_MINUTES * 60 * 1000;
+      if (now < lockedUntil) {
+        throw new TooManyRequestsError(
+          "Too many failed login attempts. This account is temporarily locked.",
+          Math.ceil((lockedUntil - now) / 1000)
+        );
+      }
+    }
+
+    const recentFailures = failures.filter(
+      (attempt) => attempt.createdAt >= windowStart
+    );
+    const delay = this.delayFor(recentFailures.length);
+
+    if (delay > 0) {
+      const retryAt = recentFailures[0].createdAt.getTime() + delay * 1000;
+      if (now < retryAt) {
+        throw new TooManyRequestsError(
+          "Too many failed login attempts. Please wait before trying again.",
+          Math.ceil((retryAt - now) / 1000)
+        );
+      }
+    }
+
+    if (ip) {
+      const ipFailures = await LoginAttempt.find({
+        ip,
+        success: false,
+        createdAt: { $gte: windowStart },
+      })
+        .sort({ createdAt: 1 })
+        .limit(MAX_FAILURES_PER_IP);
+
+      if (ipFailures.length >= MAX_FAILURES_PER_IP) {
+        const retryAt =
+          ipFailures[0].createdAt.getTime() + WINDOW_MINUTES * 60 * 1000;
+        throw new TooManyRequestsError(
+          "Too many failed login attempts from this network. Please try again later.",
+          Math.max(1, Math.ceil((retryAt - now) / 1000))
+        );
+      }
+    }
+  }
+
+  /**
+   * Record a login attempt
+   * @param {Object} params - { identifier, account, req, success, reason }
+   */
+  async record({ identifier, account, req, success, reason }) {
+    await LoginAttempt.create({
+      identifier,
+      account: account ? account._id : undefined,
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+      success,
+      reason,
+    });
+  }
+}
+
+module.exports = new LoginThrottleService();
@@ -0,0 +1,204 @@
+const crypto = require("crypto");
+const philsmsService = require("./philsmsService");
+const Account = require("../models/Accounts");
+const OtpRequest = require("../models/OtpRequest");
+const { BadRequestError, TooManyRequestsError } = require("../errors");
+
+const OTP_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const RESEND_COOLDOWN_SECONDS =
+  parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60;
+const DAILY_LIMIT_PER_NUMBER =
+  parseInt(process.env.OTP_DAILY_LIMIT_PER_NUMBER) || 5;
+const DAILY_LIMIT_PER_IP = parseInt(process.env.OTP_DAILY_LIMIT_PER_IP) || 20;
+
+class OTPService {
+  constructor() {
+    this.purposes = [
+      "signup",
+      "password-reset",
+      "contact-change",
+      "login",
+      "two-factor",
+    ];
+  }
+
+  /**
+   * Hash an OTP with a server-side secret; codes are never stored in plaintext
+   * @param {string} code - The OTP code
+   * @returns {string} - Hex HMAC of the code
+   */
+  hash(code) {
+    return crypto
+      .createHmac("sha256", process.env.OTP_SECRET || process.env.JWT_SECRET)
+      .update(String(code))
+      .digest("hex");
+  }
+
+  /**
+   * Throw TooManyRequestsError if another OTP may not be sent yet
+   * @param {string} contactNo - Number the SMS would go to
+   * @param {string} ip - Requesting IP address (optional)
+   */
+  async assertCanSend(contactNo, ip) {
+    const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+    const lastRequest = await OtpRequest.findOne({ contactNo }).sort({
+      createdAt: -1,
+    });
+
+    if (lastRequest) {
+      const elapsedSeconds = (Date.now() - lastRequest.createdAt) / 1000;
+      if (elapsedSeconds < RESEND_COOLDOWN_SECONDS) {
+        const retryAfter = Math.ceil(RESEND_COOLDOWN_SECONDS - elapsedSeconds);
+        throw new TooManyRequestsError(
+          `Please wait ${retryAfter} seconds before requesting another code`,
+          retryAfter
+        );
+      }
+    }
+
+    const numberCount = await OtpRequest.countDocuments({
+      contactNo,
+      createdAt: { $gte: dayAgo },
+    });
+
+    if (numberCount >= DAILY_LIMIT_PER_NUMBER) {
+      throw new TooManyRequestsError(
+        "Daily code limit reached for this number. Please try again tomorrow."
+      );
+    }
+
+    if (ip) {
+      const ipCount = await OtpRequest.countDocuments({
+        ip,
+        createdAt: { $gte: dayAgo },
+      });
+
+      if (ipCount >= DAILY_LIMIT_PER_IP) {
+        throw new TooManyRequestsError(
+          "Too many code requests from this network. Please try again tomorrow."
+        );
+      }
+    }
+  }
+
+  /**
+   * Check the limits and count a send to this number. Also used for
+   * numbers without an account, so the limits cannot tell them apart.
+   * @param {string} contactNo - Number the SMS goes (or would go) to
+   * @param {string} purpose - What the code is for
+   * @param {string} ip - Requesting IP address (optional)
+   */
+  async recordSend(contactNo, purpose, ip) {
+    await this.assertCanSend(contactNo, ip);
+    await OtpRequest.create({ contactNo, ip, purpose });
+  }
+
+  /**
+   * Generate, store and send a purpose-scoped OTP for an account
+   * @param {Object} account - Account document
+   * @param {string} purpose - What the code may be used for
+   * @param {Object} options - { sendTo, ip } sendTo delivers to a number other than account.contactNo
+   * @returns {Promise<Object>} - Result from philsmsService.sendOTP
+   */
+  async issue(account, purpose, { sendTo, ip } = {}) {
+    if (!this.purposes.includes(purpose)) {
+      throw new Error(`Unknown OTP purpose: ${purpose}`);
+    }
+
+    const contactNo = sendTo || account.contactNo;
+
+    await this.recordSend(contactNo, purpose, ip);
+
+    const code = philsmsService.generateOTP();
+
+    account.otp = {
+      codeHash: this.hash(code),
+      purpose,
+      target: sendTo,
+      attempts: 0,
+      expiresAt: new Date(Date.now() + OTP_TTL_MS),
+    };
+    await account.save();
+
+    const smsResult = await philsmsService.sendOTP(contactNo, code);
+
+    if (!smsResult.success) {
+      console.error(`Failed to send ${purpose} OTP:`, smsResult.error);
+    }
+
+    return smsResult;
+  }
+
+  /**
+   * Check a submitted OTP against the account's pending code for a purpose.
+   * Clears the code on success and returns the number it was sent to;
+   * the caller is responsible for saving.
+   * Wrong guesses are counted atomically in the database, and the code is
+   * discarded once MAX_ATTEMPTS is reached.
+   * @param {Object} account - Account document
+   * @param {string} purpose - Purpose the code must have been issued for
+   * @param {string} input - Code entered by the user
+   * @returns {Promise<string>} - The number the code was delivered to
+   */
+  async consume(account, purpose, input) {
+    if (
+      !account.otp ||
+      !account.otp.codeHash ||
+      account.otp.purpose !== purpose
+    ) {
+      // Same error as a wrong code, so it does not reveal which numbers
+      // have an account
+      throw new BadRequestError("Invalid or expired OTP");
+    }
+
+    const isValidOTP = philsmsService.verifyOTP(
+      account.otp.codeHash,
+      this.hash(input),
+      account.otp.expiresAt
+    );
+
+    // Counted in one update so parallel guesses cannot reuse an attempt;
+    // no match means the code is gone or this guess would be the last
+    const pending = {
+      _id: account._id,
+      "otp.codeHash": account.otp.codeHash,
+    };
+
+    if (!isValidOTP) {
+      const updated = await Account.findOneAndUpdate(
+        { ...pending, "otp.attempts": { $lt: MAX_ATTEMPTS - 1 } },
+        { $inc: { "otp.attempts": 1 } },
+        { new: true }
+      );
+
+      if (!updated) {
+        await Account.updateOne(pending, { $unset: { otp: "" } });
+        account.otp = undefined;
+        throw new TooManyRequestsError(
+          "Too many incorrect attempts. Please request a new code."
+        );
+      }
+
+      account.otp.attempts = updated.otp.attempts;
+      throw new BadRequestError("Invalid or expired OTP");
+    }
+
+    // Claim the code so a guess racing the lockout cannot still use it
+    const claimed = await Account.updateOne(
+      { ...pending, "otp.attempts": { $lt: MAX_ATTEMPTS } },
+      { $unset: { otp: "" } }
+    );
+    if (claimed.matchedCount === 0) {
+      throw new BadRequestError("Invalid or expired OTP");
+    }
+
+    const deliveredTo = account.otp.target || account.contactNo;
+    account.otp = undefined;
+
+    return deliveredTo;
+  }
+}
+
+module.exports = new OTPService();
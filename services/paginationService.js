@@ -0,0 +1,180 @@
+const mongoose = require("mongoose");
+const { BadRequestError } = require("../errors");
+
+const { EJSON, ObjectId } = mongoose.mongo.BSON;
+
+const DEFAULT_PAGE_SIZE = 20;
+
+// Larger `limit` values are capped to this
+const MAX_PAGE_SIZE = parseInt(process.env.MAX_PAGE_SIZE) || 100;
+
+/**
+ * Cursor values end up in a query filter, so only plain values are allowed
+ */
+const isPlainValue = (value) =>
+  ["string", "number", "boolean"].includes(typeof value) ||
+  value instanceof Date ||
+  value instanceof ObjectId;
+
+/**
+ * Read a field from a mongoose document or a plain aggregation result
+ */
+const valueOf = (doc, field) =>
+  typeof doc.get === "function" ? doc.get(field) : doc[field];
+
+class PaginationService {
+  /**
+   * Read pagination from the query string. `cursor` selects cursor mode
+   * (empty for the first page); otherwise `page` is used.
+   * @returns {Object} - { useCursor, cursor, page, limit, skip }
+   */
+  parse(query) {
+    const limit = Math.min(
+      Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1),
+      MAX_PAGE_SIZE
+    );
+    const useCursor = query.cursor !== undefined;
+
+    if (useCursor && query.page !== undefined) {
+      throw new BadRequestError("Use either page or cursor, not both");
+    }
+
+    const page = useCursor ? 1 : Math.max(parseInt(query.page) || 1, 1);
+
+    return {
+      useCursor,
+      cursor: useCursor && query.cursor ? this.decode(query.cursor) : null,
+      page,
+      limit,
+      skip: (page - 1) * limit,
+    };
+  }
+
+  /**
+   * Add _id as the final sort key so every position in the order is unique
+   */
+  withTieBreaker(sort) {
+    if ("_id" in sort) return sort;
+
+    const directions = Object.values(sort);
+    return { ...sort, _id: directions[directions.length - 1] || -1 };
+  }
+
+  /**
+   * Opaque cursor pointing just after a document in the given sort
+   */
+  encode(doc, sort) {
+    const payload = {
+      s: Object.entries(sort),
+      v: Object.keys(sort).map((field) => valueOf(doc, field)),
+    };
+    return Buffer.from(EJSON.stringify(payload)).toString("base64url");
+  }
+
+  /**
+   * Decode a cursor from the query string
+   */
+  decode(cursor) {
+    let payload;
+    try {
+      payload = EJSON.parse(
+        Buffer.from(String(cursor), "base64url").toString("utf8")
+      );
+    } catch (error) {
+      throw new BadRequestError("Invalid cursor");
+    }
+
+    if (
+      !payload ||
+      !Array.isArray(payload.s) ||
+      !Array.isArray(payload.v) ||
+      payload.s.length !== payload.v.length ||
+      !payload.v.every(isPlainValue)
+    ) {
+      throw new BadRequestError("Invalid cursor");
+    }
+    return payload;
+  }
+
+  /**
+   * Filter for documents after the cursor: greater (or smaller, for
+   * descending keys) on the first sort key that differs
+   */
+  after(cursor, sort) {
+    if (!cursor) return null;
+
+    const entries = Object.entries(sort);
+    if (JSON.stringify(cursor.s) !== JSON.stringify(entries)) {
+      throw new BadRequestError(
+        "Cursor does not match the requested sort; start again without it"
+      );
+    }
+
+    return {
+      $or: entries.map(([field, direction], index) => ({
+        ...Object.fromEntries(
+          entries
+            .slice(0, index)
+            .map(([previous], i) => [previous, cursor.v[i]])
+        ),
+        [field]: { [direction === 1 ? "$gt" : "$lt"]: cursor.v[index] },
+      })),
+    };
+  }
+
+  /**
+   * Build a cursor page from up to limit + 1 documents; the extra one only
+   * tells whether there is a next page
+   * @returns {Object} - { items, pagination }
+   */
+  cursorPage(docs, { limit }, sort) {
+    const hasNextPage = docs.length > limit;
+    const items = docs.slice(0, limit);
+
+    return {
+      items,
+      pagination: {
+        itemsPerPage: limit,
+        hasNextPage,
+        nextCursor: hasNextPage
+          ? this.encode(items[items.length - 1], sort)
+          : null,
+      },
+    };
+  }
+
+  /**
+   * Run a find query in page or cursor mode
+   * @param {Query} query - Filtered (and populated) mongoose query
+   * @returns {Promise<Object>} - { items, pagination }
+   */
+  async paginate(query, pagination, sort) {
+    const fullSort = this.withTieBreaker(sort);
+    query.sort(fullSort);
+
+    if (pagination.useCursor) {
+      const after = this.after(pagination.cursor, fullSort);
+      if (after) {
+        query.and([after]);
+      }
+
+      const docs = await query.limit(pagination.limit + 1);
+      return this.cursorPage(docs, pagination, fullSort);
+    }
+
+    const totalItems = await query.model.countDocuments(query.getFilter());
+    const items = await query.skip(pagination.skip).limit(pagination.limit);
+
+    return {
+      items,
+      pagination: {
+        currentPage: pagination.page,
+        totalPages: Math.ceil(totalItems / pagination.limit),
+        totalItems,
+        itemsPerPage: pagination.limit,
+      },
+    };
+  }
+}
+
+module.exports = new PaginationService();
@@ -21,38 +21,43 @@ class PhilSMSService {
    * @returns {Promise<Object>} - Response from PhilSMS API
    */
   async sendOTP(phoneNumber, otp) {
-    try {
-      // Format phone number for Philippines
-      const formattedNumber = this.formatPhoneNumber(phoneNumber);
-
-      const message = `Your Coast2Cart verification code is: ${otp}. Valid for 5 minutes. Do not share this code with anyone.`;
+    const message = `Your Coast2Cart verification code is: ${otp}. Valid for 5 minutes. Do not share this code with anyone.`;
+    const result = await this.sendMessage(phoneNumber, message);
 
-      const payload = {
-        to: formattedNumber,
-        message: message,
-        sender_id: this.senderId,
-      };
+    return {
+      ...result,
+      message: result.success ? "OTP sent successfully" : "Failed to send OTP",
+    };
+  }
 
-      const response = await axios.post(`${this.apiUrl}/send`, payload, {
-        headers: {
-          Authorization: `Bearer ${this.apiKey}`,
-          "Content-Type": "application/json",
-          Accept: "application/json",
+  /**
+   * Send a plain text message via PhilSMS
+   * @param {string} phoneNumber - The recipient's phone number
+   * @param {string} message - Message text
+   * @returns {Promise<Object>} - { success, data | error }
+   */
+  async sendMessage(phoneNumber, message) {
+    try {
+      const response = await axios.post(
+        `${this.apiUrl}/send`,
+        {
+          to: this.formatPhoneNumber(phoneNumber),
+          message,
+          sender_id: this.senderId,
         },
-      });
+        {
+          headers: {
+            Authorization: `Bearer ${this.apiKey}`,
+            "Content-Type": "application/json",
+            Accept: "application/json",
+          },
+        }
+      );
 
-      return {
-        success: true,
-        data: response.data,
-        message: "OTP sent successfully",
-      };
+      return { success: true, data: response.data };
     } catch (error) {
       console.error("PhilSMS Error:", error.response?.data || error.message);
-      return {
-        success: false,
-        error: error.response?.data || error.message,
-        message: "Failed to send OTP",
-      };
+      return { success: false, error: error.response?.data || error.message };
     }
   }
 
@@ -0,0 +1,127 @@
+const Account = require("../models/Accounts");
+
+/**
+ * Parse an integer setting; unlike `parseInt(x) || fallback`, 0 is kept
+ */
+const readInt = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const DEFAULTS = {
+  // Hours an account may stay unverified before it is deleted (0 disables)
+  unverifiedAccountHours: readInt(process.env.UNVERIFIED_ACCOUNT_TTL_HOURS, 24),
+  // Minutes between scheduled sweeps (0 disables the schedule)
+  sweepIntervalMinutes: readInt(
+    process.env.RETENTION_SWEEP_INTERVAL_MINUTES,
+    60
+  ),
+};
+
+class RetentionService {
+  constructor() {
+    this.options = { ...DEFAULTS };
+    this.timer = null;
+  }
+
+  /**
+   * Override retention settings (e.g. in tests)
+   * @param {Object} options - { unverifiedAccountHours, sweepIntervalMinutes }
+   */
+  configure(options = {}) {
+    this.options = { ...this.options, ...options };
+    return this.options;
+  }
+
+  /**
+   * Accounts abandoned during signup: never verified, older than the
+   * retention window and without a code that could still be entered.
+   * Anonymised accounts are unverified too but keep their deletedAt.
+   */
+  unverifiedAccountFilter(now = new Date()) {
+    const cutoff = new Date(
+      now.getTime() - this.options.unverifiedAccountHours * 60 * 60 * 1000
+    );
+
+    return {
+      isVerified: false,
+      deletedAt: null,
+      createdAt: { $lt: cutoff },
+      "otp.expiresAt": { $not: { $gt: now } },
+    };
+  }
+
+  /**
+   * Accounts holding an OTP that can no longer be used
+   */
+  expiredOtpFilter(now = new Date()) {
+    return { "otp.expiresAt": { $lte: now } };
+  }
+
+  /**
+   * Delete stale unverified accounts, freeing their username, email and
+   * contact number
+   * @returns {Promise<number>} - Number of accounts deleted
+   */
+  async purgeUnverifiedAccounts(now = new Date()) {
+    if (this.options.unverifiedAccountHours <= 0) return 0;
+
+    const result = await Account.deleteMany(this.unverifiedAccountFilter(now));
+    return result.deletedCount;
+  }
+
+  /**
+   * Remove expired `otp` subdocuments
+   * @returns {Promise<number>} - Number of accounts cleaned
+   */
+  async clearExpiredOtps(now = new Date()) {
+    const result = await Account.updateMany(this.expiredOtpFilter(now), {
+      $unset: { otp: "" },
+    });
+    return result.modifiedCount;
+  }
+
+  /**
+   * Run every retention rule once
+   * @returns {Promise<Object>} - { unverifiedAccountsDeleted, expiredOtpsCleared }
+   */
+  async sweep(now = new Date()) {
+    const unverifiedAccountsDeleted = await this.purgeUnverifiedAccounts(now);
+    const expiredOtpsCleared = await this.clearExpiredOtps(now);
+
+    return { unverifiedAccountsDeleted, expiredOtpsCleared };
+  }
+
+  /**
+   * Sweep on a schedule. Serverless deployments, where timers do not
+   * survive between requests, can call the admin sweep endpoint instead.
+   */
+  start() {
+    const minutes = this.options.sweepIntervalMinutes;
+    if (this.timer || minutes <= 0) return;
+
+    this.timer = setInterval(async () => {
+      try {
+        const result = await this.sweep();
+        if (result.unverifiedAccountsDeleted || result.expiredOtpsCleared) {
+          console.log("Retention sweep:", result);
+        }
+      } catch (error) {
+        console.error("Retention sweep failed:", error.message);
+      }
+    }, minutes * 60 * 1000);
+
+    // Do not keep the process alive just for the sweeper
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the scheduled sweep
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new RetentionService();
@@ -0,0 +1,55 @@
+const SecurityPolicy = require("../models/SecurityPolicy");
+
+const CACHE_TTL_MS = 60 * 1000;
+
+class SecurityPolicyService {
+  constructor() {
+    this.cached = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * Get the policy document, creating the default one on first use.
+   * Cached briefly because authenticateToken reads it on every request.
+   */
+  async getPolicy() {
+    if (this.cached && Date.now() - this.cachedAt < CACHE_TTL_MS) {
+      return this.cached;
+    }
+
+    const policy = await SecurityPolicy.findOneAndUpdate(
+      { key: "default" },
+      { $setOnInsert: { key: "default" } },
+      { upsert: true, new: true }
+    );
+
+    this.cached = policy;
+    this.cachedAt = Date.now();
+    return policy;
+  }
+
+  /**
+   * Whether accounts with this role must have two-factor authentication
+   */
+  async requiresTwoFactor(role) {
+    const policy = await this.getPolicy();
+    return policy.twoFactorRequiredRoles.includes(role);
+  }
+
+  /**
+   * Set the roles that must use two-factor authentication
+   */
+  async setTwoFactorRequiredRoles(roles, adminId) {
+    const policy = await SecurityPolicy.findOneAndUpdate(
+      { key: "default" },
+      { twoFactorRequiredRoles: roles, updatedBy: adminId },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    this.cached = policy;
+    this.cachedAt = Date.now();
+    return policy;
+  }
+}
+
+module.exports = new SecurityPolicyService();
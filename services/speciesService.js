@@ -0,0 +1,219 @@
+const Species = require("../models/Species");
+const Item = require("../models/Item");
+const { DEFAULT_SPECIES } = require("../config/species");
+const { ConflictError, NotFoundError } = require("../errors");
+
+const CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Lowercase and reduce to words so "Lapu-Lapu" and "lapu lapu" compare equal
+ */
+const normalize = (text) =>
+  String(text)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+
+/**
+ * Every normalized name a species goes by, including its key and display name
+ */
+const termsOf = (species) => [
+  ...new Set(
+    [species.key, species.name, ...(species.synonyms || [])]
+      .map(normalize)
+      .filter(Boolean)
+  ),
+];
+
+class SpeciesService {
+  constructor() {
+    this.cached = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * Get the dictionary, loading the curated defaults into an empty
+   * collection. Cached briefly because every catalog search reads it.
+   */
+  async getDictionary() {
+    if (this.cached && Date.now() - this.cachedAt < CACHE_TTL_MS) {
+      return this.cached;
+    }
+
+    if ((await Species.estimatedDocumentCount()) === 0) {
+      await Species.bulkWrite(
+        DEFAULT_SPECIES.map((species) => ({
+          updateOne: {
+            filter: { key: species.key },
+            update: { $setOnInsert: species },
+            upsert: true,
+          },
+        }))
+      );
+    }
+
+    this.cached = await Species.find().sort({ name: 1 }).lean();
+    this.cachedAt = Date.now();
+    return this.cached;
+  }
+
+  /**
+   * Drop the cached dictionary after an edit
+   */
+  invalidate() {
+    this.cached = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * Species whose names appear as whole words in the text, best match
+   * (longest name) first
+   */
+  matchSpecies(text, dictionary) {
+    const haystack = ` ${normalize(text)} `;
+
+    return dictionary
+      .map((species) => ({
+        species,
+        length: Math.max(
+          0,
+          ...termsOf(species)
+            .filter((term) => haystack.includes(` ${term} `))
+            .map((term) => term.length)
+        ),
+      }))
+      .filter((match) => match.length > 0)
+      .sort((a, b) => b.length - a.length)
+      .map((match) => match.species);
+  }
+
+  /**
+   * Canonical species key for a listing name, or null if none matches
+   */
+  async resolveSpeciesKey(itemName) {
+    const [species] = this.matchSpecies(itemName, await this.getDictionary());
+    return species ? species.key : null;
+  }
+
+  /**
+   * Add the other names of every species mentioned in a text search, so
+   * "gg" also finds "galunggong" and "round scad". Excluded (-word) terms
+   * are not expanded.
+   * @returns {Promise<string>} - Search text for MongoDB's $text
+   */
+  async expandSearch(search) {
+    const included = search.replace(/(^|\s)-("[^"]*"|\S+)/g, " ");
+    const matches = this.matchSpecies(included, await this.getDictionary());
+
+    const present = ` ${normalize(search)} `;
+    const extraTerms = matches
+      .flatMap(termsOf)
+      .filter((term) => !present.includes(` ${term} `));
+
+    return [search, ...new Set(extraTerms)].join(" ");
+  }
+
+  /**
+   * Reject names already used by another species; a name must lead to
+   * exactly one species for grouping to be meaningful
+   */
+  async assertUnique(species) {
+    const others = await Species.find({ _id: { $ne: species._id } }).lean();
+    const terms = termsOf(species);
+
+    for (const other of others) {
+      if (other.key === species.key) {
+        throw new ConflictError(`Species key "${species.key}" already exists`);
+      }
+
+      const shared = termsOf(other).find((term) => terms.includes(term));
+      if (shared) {
+        throw new ConflictError(
+          `"${shared}" is already a name for ${other.name} (${other.key})`
+        );
+      }
+    }
+  }
+
+  /**
+   * Add a species to the dictionary
+   */
+  async createSpecies({ key, name, synonyms = [] }, adminId) {
+    // Make sure the defaults are in place before the first manual entry
+    await this.getDictionary();
+
+    const species = new Species({ key, name, synonyms, updatedBy: adminId });
+    await species.validate();
+    await this.assertUnique(species);
+    await species.save();
+
+    this.invalidate();
+    return species;
+  }
+
+  /**
+   * Update a species' key, display name or synonyms
+   */
+  async updateSpecies(speciesId, changes, adminId) {
+    const species = await Species.findById(speciesId);
+    if (!species) {
+      throw new NotFoundError("Species not found");
+    }
+
+    ["key", "name", "synonyms"].forEach((field) => {
+      if (changes[field] !== undefined) {
+        species[field] = changes[field];
+      }
+    });
+    species.updatedBy = adminId;
+
+    await species.validate();
+    await this.assertUnique(species);
+    await species.save();
+
+    this.invalidate();
+    return species;
+  }
+
+  /**
+   * Remove a species from the dictionary
+   */
+  async deleteSpecies(speciesId) {
+    const species = await Species.findByIdAndDelete(speciesId);
+    if (!species) {
+      throw new NotFoundError("Species not found");
+    }
+
+    this.invalidate();
+    return species;
+  }
+
+  /**
+   * Recompute the species key of every listing after a dictionary change
+   * @returns {Promise<number>} - Number of listings whose key changed
+   */
+  async retagItems() {
+    const dictionary = await this.getDictionary();
+    const updates = [];
+
+    for await (const item of Item.find({}, "itemName speciesKey")
+      .lean()
+      .cursor()) {
+      const [species] = this.matchSpecies(item.itemName, dictionary);
+      const speciesKey = species ? species.key : null;
+
+      if (speciesKey !== (item.speciesKey || null)) {
+        updates.push({
+          updateOne: { filter: { _id: item._id }, update: { speciesKey } },
+        });
+      }
+    }
+
+    if (updates.length > 0) {
+      await Item.bulkWrite(updates);
+    }
+    return updates.length;
+  }
+}
+
+module.exports = new SpeciesService();
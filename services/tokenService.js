@@ -0,0 +1,164 @@
+const crypto = require("crypto");
+const Account = require("../models/Accounts");
+const RefreshToken = require("../models/RefreshToken");
+const { generateToken } = require("../middleware/auth");
+const { UnauthenticatedError } = require("../errors");
+
+const REFRESH_TOKEN_TTL_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+class TokenService {
+  /**
+   * Hash a refresh token; only hashes are stored in the database
+   */
+  hash(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+  }
+
+  /**
+   * Store a new refresh token and return it alongside an access token
+   * @param {Object} account - Account document
+   * @param {string} family - Session id shared by every rotation of a login
+   * @param {Object} req - Express request, for IP and user agent
+   * @returns {Promise<Object>} - { token, refreshToken, refreshTokenDoc }
+   */
+  async createTokenPair(account, family, req) {
+    const refreshToken = crypto.randomBytes(40).toString("hex");
+
+    const refreshTokenDoc = await RefreshToken.create({
+      user: account._id,
+      tokenHash: this.hash(refreshToken),
+      family,
+      expiresAt: new Date(
+        Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+      ),
+      createdByIp: req && req.ip,
+      userAgent: req && req.get("user-agent"),
+    });
+
+    const token = generateToken(account._id, {
+      tokenVersion: account.tokenVersion,
+      sessionId: family,
+    });
+
+    return { token, refreshToken, refreshTokenDoc };
+  }
+
+  /**
+   * Start a new session after a successful login
+   */
+  async issueSession(account, req) {
+    const family = crypto.randomUUID();
+    const { token, refreshToken } = await this.createTokenPair(
+      account,
+      family,
+      req
+    );
+    return { token, refreshToken };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair. Presenting a token that
+   * was already rotated means it leaked, so the whole session is revoked.
+   */
+  async rotate(refreshToken, req) {
+    const existing = await RefreshToken.findOne({
+      tokenHash: this.hash(refreshToken),
+    });
+
+    if (!existing) {
+      throw new UnauthenticatedError("Invalid refresh token");
+    }
+
+    if (existing.revokedAt) {
+      await this.revokeFamily(existing.family);
+      throw new UnauthenticatedError(
+        "Refresh token has already been used. Please log in again."
+      );
+    }
+
+    if (existing.expiresAt <= new Date()) {
+      throw new UnauthenticatedError("Refresh token expired");
+    }
+
+    const account = await Account.findById(existing.user);
+
+    if (!account || !account.isVerified || account.isSuspended) {
+      await this.revokeFamily(existing.family);
+      throw new UnauthenticatedError("User not found");
+    }
+
+    // Claim the token atomically so concurrent refreshes cannot both rotate it
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { _id: existing._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    if (!claimed) {
+      await this.revokeFamily(existing.family);
+      throw new UnauthenticatedError(
+        "Refresh token has already been used. Please log in again."
+      );
+    }
+
+    const {
+      token,
+      refreshToken: nextRefreshToken,
+      refreshTokenDoc,
+    } = await this.createTokenPair(account, existing.family, req);
+
+    await RefreshToken.updateOne(
+      { _id: existing._id },
+      { replacedBy: refreshTokenDoc._id }
+    );
+
+    return { token, refreshToken: nextRefreshToken, account };
+  }
+
+  /**
+   * Revoke the session a refresh token belongs to
+   * @returns {Promise<ObjectId|null>} - Account of the session, if one matched
+   */
+  async revokeSession(refreshToken) {
+    const existing = await RefreshToken.findOne({
+      tokenHash: this.hash(refreshToken),
+    });
+
+    if (!existing) return null;
+
+    await this.revokeFamily(existing.family);
+    return existing.user;
+  }
+
+  /**
+   * Revoke every token in a session
+   */
+  async revokeFamily(family) {
+    await RefreshToken.updateMany(
+      { family, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+  }
+
+  /**
+   * Revoke every session of an account and invalidate its access tokens.
+   * The caller does not need to save the account afterwards.
+   */
+  async revokeAllSessions(account) {
+    await RefreshToken.updateMany(
+      { user: account._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    const updated = await Account.findByIdAndUpdate(
+      account._id,
+      { $inc: { tokenVersion: 1 } },
+      { new: true }
+    );
+    if (updated) {
+      account.tokenVersion = updated.tokenVersion;
+    }
+  }
+}
+
+module.exports = new TokenService();
@@ -0,0 +1,217 @@
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const ISSUER = "Coast2Cart";
+
+class TOTPService {
+  /**
+   * Encode a buffer as RFC 4648 base32 (no padding), the format
+   * authenticator apps expect for secrets
+   */
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  /**
+   * Decode an RFC 4648 base32 string (case-insensitive, padding optional)
+   */
+  base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error("Invalid base32 character");
+      }
+
+      value = (value << 5) | index;
+      bits += 5;
+
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Generate a new random secret (base32)
+   */
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * HOTP value for a counter (RFC 4226)
+   * @param {string} secret - Base32 secret
+   * @param {number} counter - Moving factor
+   * @param {string} algorithm - HMAC algorithm (sha1 for authenticator apps)
+   * @returns {string} - Zero-padded code
+   */
+  hotp(secret, counter, algorithm = "sha1") {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto
+      .createHmac(algorithm, this.base32Decode(secret))
+      .update(counterBuffer)
+      .digest();
+
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary =
+      ((hmac[offset] & 0x7f) << 24) |
+      (hmac[offset + 1] << 16) |
+      (hmac[offset + 2] << 8) |
+      hmac[offset + 3];
+
+    return (binary % 10 ** DIGITS).toString().padStart(DIGITS, "0");
+  }
+
+  /**
+   * Time step for a timestamp
+   */
+  stepAt(time = Date.now()) {
+    return Math.floor(time / 1000 / STEP_SECONDS);
+  }
+
+  /**
+   * TOTP code for a timestamp (RFC 6238)
+   */
+  generate(secret, time = Date.now()) {
+    return this.hotp(secret, this.stepAt(time));
+  }
+
+  /**
+   * Check a code, allowing one step of clock drift either way
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Code entered by the user
+   * @param {Object} options - { time, lastUsedStep } steps up to lastUsedStep are rejected as replays
+   * @returns {number|null} - The matching time step, or null
+   */
+  verify(secret, code, { time = Date.now(), lastUsedStep = -1 } = {}) {
+    if (!/^\d{6}$/.test(String(code))) return null;
+
+    const current = this.stepAt(time);
+
+    for (const step of [current - 1, current, current + 1]) {
+      if (step <= lastUsedStep) continue;
+
+      const expected = Buffer.from(this.hotp(secret, step));
+      if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * otpauth:// URI for QR codes in authenticator apps
+   */
+  keyUri(secret, accountName) {
+    const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(
+      ISSUER
+    )}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+  }
+
+  /**
+   * Key used to encrypt secrets at rest
+   */
+  encryptionKey() {
+    return crypto
+      .createHash("sha256")
+      .update(process.env.TWO_FACTOR_SECRET || process.env.JWT_SECRET)
+      .digest();
+  }
+
+  /**
+   * Encrypt a secret for storage (AES-256-GCM, "iv:tag:ciphertext" in hex)
+   */
+  encrypt(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(
+      "aes-256-gcm",
+      this.encryptionKey(),
+      iv
+    );
+    const encrypted = Buffer.concat([
+      cipher.update(secret, "utf8"),
+      cipher.final(),
+    ]);
+
+    return [iv, cipher.getAuthTag(), encrypted]
+      .map((part) => part.toString("hex"))
+      .join(":");
+  }
+
+  /**
+   * Decrypt a stored secret
+   */
+  decrypt(payload) {
+    const [iv, tag, encrypted] = payload
+      .split(":")
+      .map((part) => Buffer.from(part, "hex"));
+
+    const decipher = crypto.createDecipheriv(
+      "aes-256-gcm",
+      this.encryptionKey(),
+      iv
+    );
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([
+      decipher.update(encrypted),
+      decipher.final(),
+    ]).toString("utf8");
+  }
+
+  /**
+   * Generate one-time recovery codes (shown once, stored hashed)
+   * @returns {string[]} - Codes like "a1b2c-3d4e5"
+   */
+  generateRecoveryCodes(count = 10) {
+    return Array.from({ length: count }, () => {
+      const hex = crypto.randomBytes(5).toString("hex");
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+  }
+
+  /**
+   * Hash a recovery code for storage or lookup; case, spaces and the
+   * dash are ignored so codes can be typed loosely
+   */
+  hashRecoveryCode(code) {
+    return crypto
+      .createHash("sha256")
+      .update(String(code).replace(/[\s-]/g, "").toLowerCase())
+      .digest("hex");
+  }
+}
+
+module.exports = new TOTPService();
@@ -0,0 +1,160 @@
+const { BadRequestError, UnauthenticatedError } = require("../errors");
+const totpService = require("./totpService");
+const otpService = require("./otpService");
+
+const RECOVERY_CODE_COUNT = 10;
+
+class TwoFactorService {
+  /**
+   * Check a second factor for an account with two-factor authentication on.
+   * Accepts a code from the account's method or one of its recovery codes;
+   * used recovery codes and TOTP steps are consumed, so the caller must save.
+   * @param {Object} account - Account document (including otp)
+   * @param {Object} input - { code, recoveryCode }
+   * @returns {Promise<string>} - Factor that passed: "totp", "sms" or "recovery-code"
+   */
+  async verifySecondFactor(account, { code, recoveryCode } = {}) {
+    const twoFactor = account.twoFactor;
+
+    if (recoveryCode) {
+      const codeHash = totpService.hashRecoveryCode(recoveryCode);
+
+      if (!twoFactor.recoveryCodes.includes(codeHash)) {
+        throw new UnauthenticatedError("Invalid recovery code");
+      }
+
+      twoFactor.recoveryCodes.pull(codeHash);
+      return "recovery-code";
+    }
+
+    if (twoFactor.method === "sms") {
+      await otpService.consume(account, "two-factor", code);
+      return "sms";
+    }
+
+    const step = totpService.verify(
+      totpService.decrypt(twoFactor.totpSecret),
+      code,
+      { lastUsedStep: twoFactor.lastUsedStep }
+    );
+
+    if (step === null) {
+      throw new UnauthenticatedError("Invalid authentication code");
+    }
+
+    twoFactor.lastUsedStep = step;
+    return "totp";
+  }
+
+  /**
+   * Start authenticator app setup with a fresh secret. The secret only
+   * becomes active once a code from it is confirmed with enableTotp.
+   * @returns {Promise<Object>} - { secret, otpauthUrl } for manual entry or a QR code
+   */
+  async startTotpSetup(account) {
+    this.assertNotEnabled(account);
+
+    const secret = totpService.generateSecret();
+    account.twoFactor.pendingSecret = totpService.encrypt(secret);
+    await account.save();
+
+    return {
+      secret,
+      otpauthUrl: totpService.keyUri(secret, account.username),
+    };
+  }
+
+  /**
+   * Turn on authenticator app 2FA after the user proves the app is set up
+   * @returns {Promise<string[]>} - Recovery codes, shown to the user once
+   */
+  async enableTotp(account, code) {
+    this.assertNotEnabled(account);
+
+    if (!account.twoFactor.pendingSecret) {
+      throw new BadRequestError(
+        "No authenticator setup in progress. Please start setup first."
+      );
+    }
+
+    const step = totpService.verify(
+      totpService.decrypt(account.twoFactor.pendingSecret),
+      code
+    );
+
+    if (step === null) {
+      throw new BadRequestError("Invalid authentication code");
+    }
+
+    account.twoFactor.totpSecret = account.twoFactor.pendingSecret;
+    account.twoFactor.pendingSecret = undefined;
+    account.twoFactor.lastUsedStep = step;
+
+    return this.enable(account, "totp");
+  }
+
+  /**
+   * Turn on SMS 2FA after the user enters a code sent to their number
+   * @returns {Promise<string[]>} - Recovery codes, shown to the user once
+   */
+  async enableSms(account, code) {
+    this.assertNotEnabled(account);
+
+    await otpService.consume(account, "two-factor", code);
+
+    return this.enable(account, "sms");
+  }
+
+  /**
+   * Turn off 2FA and forget every secret
+   */
+  async disable(account) {
+    account.twoFactor = { enabled: false };
+    await account.save();
+  }
+
+  /**
+   * Replace the recovery codes, invalidating the old ones
+   * @returns {Promise<string[]>} - New recovery codes, shown to the user once
+   */
+  async regenerateRecoveryCodes(account) {
+    const codes = this.issueRecoveryCodes(account);
+    await account.save();
+    return codes;
+  }
+
+  /**
+   * Mark 2FA as enabled with the given method and issue recovery codes
+   */
+  async enable(account, method) {
+    account.twoFactor.enabled = true;
+    account.twoFactor.method = method;
+    account.twoFactor.enabledAt = new Date();
+
+    return this.regenerateRecoveryCodes(account);
+  }
+
+  /**
+   * Generate recovery codes and store their hashes on the account
+   */
+  issueRecoveryCodes(account) {
+    const codes = totpService.generateRecoveryCodes(RECOVERY_CODE_COUNT);
+    account.twoFactor.recoveryCodes = codes.map((code) =>
+      totpService.hashRecoveryCode(code)
+    );
+    return codes;
+  }
+
+  /**
+   * Switching methods requires turning 2FA off first, with a second factor
+   */
+  assertNotEnabled(account) {
+    if (account.twoFactor.enabled) {
+      throw new BadRequestError(
+        "Two-factor authentication is already enabled. Disable it first to change methods."
+      );
+    }
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,77 @@
+const { UNITS, UNIT_NAMES } = require("../config/units");
+const { BadRequestError } = require("../errors");
+
+// Converted quantities keep gram precision for kg and avoid float noise
+// (0.1 + 0.2) in stock comparisons
+const QUANTITY_DECIMALS = 3;
+
+const round = (value, decimals) =>
+  Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+class UnitService {
+  /**
+   * Whether a quantity in one unit can be expressed in the other
+   */
+  areCompatible(from, to) {
+    return (
+      from === to ||
+      (UNITS[from] !== undefined &&
+        UNITS[to] !== undefined &&
+        UNITS[from].dimension === "weight" &&
+        UNITS[to].dimension === "weight")
+    );
+  }
+
+  /**
+   * Convert a quantity between compatible units
+   */
+  convert(quantity, from, to) {
+    if (!UNIT_NAMES.includes(from) || !UNIT_NAMES.includes(to)) {
+      throw new BadRequestError(
+        `Unit must be one of: ${UNIT_NAMES.join(", ")}`
+      );
+    }
+    if (!this.areCompatible(from, to)) {
+      throw new BadRequestError(`Cannot convert ${from} to ${to}`);
+    }
+    if (from === to) return quantity;
+
+    return round((quantity * UNITS[from].kg) / UNITS[to].kg, QUANTITY_DECIMALS);
+  }
+
+  /**
+   * Price of one kg for a price quoted per `unit`; null for counted units
+   */
+  pricePerKg(price, unit) {
+    const definition = UNITS[unit];
+    if (!definition || definition.dimension !== "weight") return null;
+
+    return round(price / definition.kg, 2);
+  }
+
+  /**
+   * Units sold by weight, which have a per-kg price
+   */
+  weightUnits() {
+    return UNIT_NAMES.filter((unit) => UNITS[unit].dimension === "weight");
+  }
+
+  /**
+   * Aggregation expression for pricePerKg, matching pricePerKg() above
+   */
+  pricePerKgExpression() {
+    return {
+      $switch: {
+        branches: this.weightUnits().map((unit) => ({
+          case: { $eq: ["$unit", unit] },
+          then: {
+            $round: [{ $divide: ["$itemPrice", UNITS[unit].kg] }, 2],
+          },
+        })),
+        default: null,
+      },
+    };
+  }
+}
+
+module.exports = new UnitService();
@@ -0,0 +1,308 @@
+const mongoose = require("mongoose");
+const Item = require("../models/Item");
+const Account = require("../models/Accounts");
+const Cart = require("../models/Cart");
+const categoryService = require("../services/categoryService");
+const philsmsService = require("../services/philsmsService");
+const expiryService = require("../services/expiryService");
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date("2025-01-10T12:00:00.000Z");
+
+const id = () => new mongoose.Types.ObjectId();
+
+// fish (72h, deactivate) > tuna (inherits); dried-fish (30 days, flag);
+// souvenirs has no policy
+const fish = {
+  _id: id(),
+  slug: "fish",
+  ancestors: [],
+  shelfLifeHours: 72,
+  expiryAction: "deactivate",
+};
+const tuna = { _id: id(), slug: "tuna", ancestors: [fish._id] };
+const driedFish = {
+  _id: id(),
+  slug: "dried-fish",
+  ancestors: [],
+  shelfLifeHours: 720,
+  expiryAction: "flag",
+};
+const souvenirs = { _id: id(), slug: "souvenirs", ancestors: [] };
+const CATEGORIES = [fish, tuna, driedFish, souvenirs];
+
+const sellerA = { _id: id(), contactNo: "9123456789" };
+const sellerB = { _id: id(), contactNo: "9987654321" };
+const SELLERS = [sellerA, sellerB];
+
+/**
+ * Listings caught `hoursAgo` before NOW
+ */
+const listing = (itemName, category, seller, hoursAgo) => ({
+  _id: id(),
+  itemName,
+  category: category._id,
+  seller: seller._id,
+  isActive: true,
+  expiredAt: null,
+  expiryWarnedAt: null,
+  catchDate: new Date(NOW.getTime() - hoursAgo * HOUR),
+});
+
+/**
+ * Whether an in-memory listing matches the filters expiryService builds
+ */
+const matches = (item, filter) =>
+  Object.entries(filter).every(([field, condition]) => {
+    if (field === "_id") {
+      return condition.$in.some((candidate) => candidate.equals(item._id));
+    }
+    if (field === "catchDate") return item.catchDate < condition.$lt;
+    if (field === "category") return condition.equals(item.category);
+    return item[field] === condition;
+  });
+
+/**
+ * Keep only the fields an inclusive projection asks for, like MongoDB does
+ */
+const project = (doc, projection) => {
+  if (!projection || Object.keys(projection).length === 0) return { ...doc };
+  return Object.fromEntries(
+    Object.entries(doc).filter(
+      ([field]) => field === "_id" || projection[field]
+    )
+  );
+};
+
+/**
+ * Answer a model's finds from `docs`. Only the collection is faked, so
+ * Mongoose still casts the filter, applies `select` and `populate`, and
+ * loads the results into documents, running the schema's hooks.
+ */
+const fakeCollectionFind =
+  (docs) =>
+  async (filter, options = {}) => ({
+    toArray: async () =>
+      docs()
+        .filter((doc) => matches(doc, filter))
+        .map((doc) => project(doc, options.projection)),
+  });
+
+/**
+ * Run fn against in-memory listings and cart entries, recording SMS sent.
+ * `failFor` lists contact numbers whose SMS fails.
+ */
+const withFakeStore = async ({ items, cartItemIds, failFor = [] }, fn) => {
+  const original = {
+    getCategories: categoryService.getCategories,
+    findItems: Item.collection.find,
+    findAccounts: Account.collection.find,
+    updateMany: Item.updateMany,
+    deleteMany: Cart.deleteMany,
+    sendMessage: philsmsService.sendMessage,
+  };
+  const sent = [];
+  let carts = [...cartItemIds];
+
+  categoryService.getCategories = async () => CATEGORIES;
+  Item.collection.find = fakeCollectionFind(() => items);
+  Account.collection.find = fakeCollectionFind(() => SELLERS);
+  Item.updateMany = async (filter, update) => {
+    const updated = items.filter((item) => matches(item, filter));
+    updated.forEach((item) => Object.assign(item, update));
+    return { modifiedCount: updated.length };
+  };
+  Cart.deleteMany = async (filter) => {
+    const before = carts.length;
+    carts = carts.filter(
+      (itemId) => !filter.item.$in.some((candidate) => candidate.equals(itemId))
+    );
+    return { deletedCount: before - carts.length };
+  };
+  philsmsService.sendMessage = async (phoneNumber, message) => {
+    sent.push({ phoneNumber, message });
+    return { success: !failFor.includes(phoneNumber) };
+  };
+
+  try {
+    return await fn({ sent, carts: () => carts });
+  } finally {
+    categoryService.getCategories = original.getCategories;
+    Item.collection.find = original.findItems;
+    Account.collection.find = original.findAccounts;
+    Item.updateMany = original.updateMany;
+    Cart.deleteMany = original.deleteMany;
+    philsmsService.sendMessage = original.sendMessage;
+  }
+};
+
+const report = (checks) => {
+  checks.forEach(([label, ok]) => console.log(`${ok ? "✓" : "✗"} ${label}`));
+  return checks.every(([, ok]) => ok);
+};
+
+/**
+ * Test subcategories inherit the nearest shelf-life policy
+ */
+const testPolicies = async () => {
+  console.log("Testing shelf-life policies...");
+
+  return withFakeStore({ items: [], cartItemIds: [] }, async () => {
+    const policies = await expiryService.policies();
+    const policyOf = (category) =>
+      policies.find((policy) => policy.category.equals(category._id));
+
+    return report([
+      ["Category uses its own policy", policyOf(fish).shelfLifeHours === 72],
+      [
+        "Subcategory inherits its parent's policy",
+        policyOf(tuna).shelfLifeHours === 72 &&
+          policyOf(tuna).expiryAction === "deactivate",
+      ],
+      ["Flag action is kept", policyOf(driedFish).expiryAction === "flag"],
+      ["Categories without a policy are skipped", !policyOf(souvenirs)],
+    ]);
+  });
+};
+
+/**
+ * Test a sweep deactivates or flags expired listings and updates carts
+ */
+const testExpiry = async () => {
+  console.log("\nTesting expiry...");
+
+  expiryService.configure({ warningHours: 0 });
+  const oldFish = listing("Bangus", fish, sellerA, 80);
+  const oldTuna = listing("Tuna", tuna, sellerA, 73);
+  const freshFish = listing("Tilapia", fish, sellerB, 10);
+  const oldDanggit = listing("Danggit", driedFish, sellerB, 800);
+  const oldSouvenir = listing("Keychain", souvenirs, sellerB, 5000);
+  const items = [oldFish, oldTuna, freshFish, oldDanggit, oldSouvenir];
+
+  return withFakeStore(
+    {
+      items,
+      cartItemIds: [oldFish._id, oldFish._id, freshFish._id, oldDanggit._id],
+    },
+    async ({ carts }) => {
+      const result = await expiryService.sweep(NOW);
+
+      return report([
+        [
+          "Deactivates expired fish, including subcategories",
+          !oldFish.isActive &&
+            !oldTuna.isActive &&
+            oldFish.expiredAt === NOW &&
+            result.listingsDeactivated === 2,
+        ],
+        [
+          "Flags expired dried fish without deactivating",
+          oldDanggit.isActive &&
+            oldDanggit.expiredAt === NOW &&
+            result.listingsFlagged === 1,
+        ],
+        [
+          "Leaves fresh listings and policy-free categories alone",
+          freshFish.isActive &&
+            freshFish.expiredAt === null &&
+            oldSouvenir.expiredAt === null,
+        ],
+        [
+          "Removes deactivated listings from carts",
+          result.cartEntriesRemoved === 2 &&
+            carts().length === 2 &&
+            carts()[0].equals(freshFish._id),
+        ],
+        ["Keeps flagged listings in carts", carts()[1].equals(oldDanggit._id)],
+      ]);
+    }
+  );
+};
+
+/**
+ * Test sellers get one SMS ahead of expiry, and only once
+ */
+const testWarnings = async () => {
+  console.log("\nTesting expiry warnings...");
+
+  expiryService.configure({ warningHours: 12 });
+  const soonA1 = listing("Bangus", fish, sellerA, 65);
+  const soonA2 = listing("Tuna", tuna, sellerA, 61);
+  const laterA = listing("Tilapia", fish, sellerA, 50);
+  const soonB = listing("Galunggong", fish, sellerB, 70);
+  const items = [soonA1, soonA2, laterA, soonB];
+
+  return withFakeStore(
+    { items, cartItemIds: [], failFor: [sellerB.contactNo] },
+    async ({ sent }) => {
+      const first = await expiryService.sweep(NOW);
+      const toA = sent.filter((sms) => sms.phoneNumber === sellerA.contactNo);
+      const second = await expiryService.sweep(NOW);
+
+      return report([
+        [
+          "One SMS per seller naming the listings",
+          toA.length === 1 &&
+            toA[0].message.includes("Bangus") &&
+            toA[0].message.includes("Tuna") &&
+            !toA[0].message.includes("Tilapia"),
+        ],
+        [
+          "Marks warned listings",
+          soonA1.expiryWarnedAt === NOW &&
+            soonA2.expiryWarnedAt === NOW &&
+            laterA.expiryWarnedAt === null,
+        ],
+        [
+          "Failed SMS is retried on the next sweep",
+          soonB.expiryWarnedAt === null &&
+            sent.filter((sms) => sms.phoneNumber === sellerB.contactNo)
+              .length === 2,
+        ],
+        [
+          "Reports warnings and does not repeat them",
+          first.sellersWarned === 1 &&
+            first.listingsWarned === 2 &&
+            second.listingsWarned === 0,
+        ],
+        ["Nothing expires early", first.listingsDeactivated === 0],
+      ]);
+    }
+  );
+};
+
+/**
+ * Run all tests
+ */
+const runTests = async () => {
+  console.log("=== Expiry Tests ===\n");
+
+  const policyTest = await testPolicies();
+  const expiryTest = await testExpiry();
+  const warningTest = await testWarnings();
+
+  console.log("\n=== Test Results ===");
+  console.log("Shelf-Life Policies:", policyTest ? "✓ PASS" : "✗ FAIL");
+  console.log("Expiry:", expiryTest ? "✓ PASS" : "✗ FAIL");
+  console.log("Warnings:", warningTest ? "✓ PASS" : "✗ FAIL");
+
+  const allPassed = policyTest && expiryTest && warningTest;
+  console.log(
+    "\nOverall Result:",
+    allPassed ? "✓ ALL TESTS PASSED" : "✗ SOME TESTS FAILED"
+  );
+
+  return allPassed;
+};
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTests().then((passed) => process.exit(passed ? 0 : 1));
+}
+
+module.exports = {
+  testPolicies,
+  testExpiry,
+  testWarnings,
+  runTests,
+};
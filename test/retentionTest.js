@@ -0,0 +1,151 @@
+const Account = require("../models/Accounts");
+const retentionService = require("../services/retentionService");
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Replace Account.deleteMany/updateMany with recorders for the duration of fn
+ */
+const withRecordedQueries = async (fn) => {
+  const original = {
+    deleteMany: Account.deleteMany,
+    updateMany: Account.updateMany,
+  };
+  const calls = { deleteMany: [], updateMany: [] };
+
+  Account.deleteMany = async (filter) => {
+    calls.deleteMany.push({ filter });
+    return { deletedCount: 2 };
+  };
+  Account.updateMany = async (filter, update) => {
+    calls.updateMany.push({ filter, update });
+    return { modifiedCount: 3 };
+  };
+
+  try {
+    return await fn(calls);
+  } finally {
+    Account.deleteMany = original.deleteMany;
+    Account.updateMany = original.updateMany;
+  }
+};
+
+/**
+ * Test the unverified account rule honours the configured window
+ */
+const testUnverifiedAccountFilter = () => {
+  console.log("Testing unverified account rule...");
+
+  retentionService.configure({ unverifiedAccountHours: 48 });
+  const now = new Date("2025-01-10T12:00:00.000Z");
+  const filter = retentionService.unverifiedAccountFilter(now);
+
+  const checks = [
+    [
+      "Uses the configured window",
+      filter.createdAt.$lt.getTime() === now.getTime() - 48 * HOUR,
+    ],
+    ["Only unverified accounts", filter.isVerified === false],
+    ["Skips anonymised accounts", filter.deletedAt === null],
+    [
+      "Skips accounts with a pending code",
+      filter["otp.expiresAt"].$not.$gt.getTime() === now.getTime(),
+    ],
+  ];
+
+  checks.forEach(([label, ok]) => console.log(`${ok ? "✓" : "✗"} ${label}`));
+  return checks.every(([, ok]) => ok);
+};
+
+/**
+ * Test a window of 0 disables account purging
+ */
+const testPurgeCanBeDisabled = async () => {
+  console.log("\nTesting purge can be disabled...");
+
+  retentionService.configure({ unverifiedAccountHours: 0 });
+
+  const ok = await withRecordedQueries(async (calls) => {
+    const deleted = await retentionService.purgeUnverifiedAccounts();
+    return deleted === 0 && calls.deleteMany.length === 0;
+  });
+
+  console.log(
+    ok ? "✓ No accounts deleted when disabled" : "✗ Purge ran while disabled"
+  );
+  return ok;
+};
+
+/**
+ * Test a sweep applies both rules and reports what it did
+ */
+const testSweep = async () => {
+  console.log("\nTesting sweep...");
+
+  retentionService.configure({ unverifiedAccountHours: 24 });
+  const now = new Date("2025-01-10T12:00:00.000Z");
+
+  return withRecordedQueries(async (calls) => {
+    const result = await retentionService.sweep(now);
+
+    const deletedStale =
+      calls.deleteMany.length === 1 &&
+      calls.deleteMany[0].filter.createdAt.$lt.getTime() ===
+        now.getTime() - 24 * HOUR;
+    const clearedOtps =
+      calls.updateMany.length === 1 &&
+      calls.updateMany[0].filter["otp.expiresAt"].$lte.getTime() ===
+        now.getTime() &&
+      calls.updateMany[0].update.$unset.otp === "";
+    const reported =
+      result.unverifiedAccountsDeleted === 2 && result.expiredOtpsCleared === 3;
+
+    console.log(
+      deletedStale
+        ? "✓ Deletes stale unverified accounts"
+        : "✗ Stale accounts not deleted"
+    );
+    console.log(
+      clearedOtps ? "✓ Clears expired OTPs" : "✗ Expired OTPs not cleared"
+    );
+    console.log(reported ? "✓ Reports counts" : "✗ Wrong counts reported");
+
+    return deletedStale && clearedOtps && reported;
+  });
+};
+
+/**
+ * Run all tests
+ */
+const runTests = async () => {
+  console.log("=== Retention Tests ===\n");
+
+  const filterTest = testUnverifiedAccountFilter();
+  const disabledTest = await testPurgeCanBeDisabled();
+  const sweepTest = await testSweep();
+
+  console.log("\n=== Test Results ===");
+  console.log("Unverified Account Rule:", filterTest ? "✓ PASS" : "✗ FAIL");
+  console.log("Purge Disabled:", disabledTest ? "✓ PASS" : "✗ FAIL");
+  console.log("Sweep:", sweepTest ? "✓ PASS" : "✗ FAIL");
+
+  const allPassed = filterTest && disabledTest && sweepTest;
+  console.log(
+    "\nOverall Result:",
+    allPassed ? "✓ ALL TESTS PASSED" : "✗ SOME TESTS FAILED"
+  );
+
+  return allPassed;
+};
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTests().then((passed) => process.exit(passed ? 0 : 1));
+}
+
+module.exports = {
+  testUnverifiedAccountFilter,
+  testPurgeCanBeDisabled,
+  testSweep,
+  runTests,
+};